@@ -0,0 +1,83 @@
+// Minimal stand-in for a generation backend implementing the HTTP provider contract
+// (see README). Audio requests get a sine tone of the requested length; video and merge
+// requests get the file named by MOCK_VIDEO, or a 501 when it is not set.
+//
+//   PORT=8000 MOCK_VIDEO=clip.webm npm run mock:backend
+//   VITE_BACKEND_URL=http://localhost:8000 npm run dev
+
+import { createServer } from 'node:http'
+import { readFile } from 'node:fs/promises'
+import { extname } from 'node:path'
+
+const PORT = Number(process.env.PORT) || 8000
+const MOCK_VIDEO = process.env.MOCK_VIDEO
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+}
+
+function sineWav(seconds, freq = 220, sampleRate = 44100) {
+  const samples = Math.round(seconds * sampleRate)
+  const buf = Buffer.alloc(44 + samples * 2)
+  buf.write('RIFF', 0)
+  buf.writeUInt32LE(36 + samples * 2, 4)
+  buf.write('WAVEfmt ', 8)
+  buf.writeUInt32LE(16, 16)
+  buf.writeUInt16LE(1, 20) // PCM
+  buf.writeUInt16LE(1, 22) // mono
+  buf.writeUInt32LE(sampleRate, 24)
+  buf.writeUInt32LE(sampleRate * 2, 28)
+  buf.writeUInt16LE(2, 32)
+  buf.writeUInt16LE(16, 34)
+  buf.write('data', 36)
+  buf.writeUInt32LE(samples * 2, 40)
+  for (let i = 0; i < samples; i++) {
+    buf.writeInt16LE(Math.round(Math.sin((2 * Math.PI * freq * i) / sampleRate) * 0.3 * 32767), 44 + i * 2)
+  }
+  return buf
+}
+
+async function readBody(req) {
+  const chunks = []
+  for await (const chunk of req) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+function send(res, status, body, type) {
+  res.writeHead(status, { ...cors, 'Content-Type': type })
+  res.end(body)
+}
+
+const json = (res, status, body) => send(res, status, JSON.stringify(body), 'application/json')
+
+async function mockVideo(res) {
+  if (!MOCK_VIDEO) return json(res, 501, { detail: 'Set MOCK_VIDEO to a video file to serve video requests' })
+  send(res, 200, await readFile(MOCK_VIDEO), extname(MOCK_VIDEO) === '.mp4' ? 'video/mp4' : 'video/webm')
+}
+
+createServer(async (req, res) => {
+  try {
+    if (req.method === 'OPTIONS') return send(res, 204, '', 'text/plain')
+    if (req.method === 'GET' && req.url === '/') return json(res, 200, { message: 'AuralForge mock backend' })
+    if (req.method !== 'POST') return json(res, 404, { detail: 'Not found' })
+
+    const body = await readBody(req)
+    console.log(`${req.method} ${req.url} (${body.length} bytes)`)
+    switch (req.url) {
+      case '/generate/audio': {
+        const { prompt, seconds } = JSON.parse(body)
+        if (!prompt) return json(res, 422, { detail: 'prompt is required' })
+        return send(res, 200, sineWav(Number(seconds) || 8), 'audio/wav')
+      }
+      case '/generate/video':
+      case '/generate/merge':
+        return mockVideo(res)
+      default:
+        return json(res, 404, { detail: 'Not found' })
+    }
+  } catch (e) {
+    json(res, 500, { detail: e.message })
+  }
+}).listen(PORT, () => console.log(`Mock backend listening on http://localhost:${PORT}`))
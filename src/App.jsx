@@ -1,447 +1,407 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
 import Spline from '@splinetool/react-spline'
-
-// Utility: Simple hash to generate deterministic values from prompt
-function hashString(str) {
-  let hash = 0
-  for (let i = 0; i < str.length; i++) {
-    hash = (hash << 5) - hash + str.charCodeAt(i)
-    hash |= 0
-  }
-  return Math.abs(hash)
-}
-
-// Utility: Map hash to color palette (glowing cyan/blue variants)
-function paletteFromPrompt(prompt) {
-  const h = hashString(prompt)
-  const hues = [190, 195, 200, 205, 210, 215] // blue-cyan range
-  const hue = hues[h % hues.length]
-  const sat = 80 + (h % 20)
-  const light = 45 + (h % 10)
-  return `hsl(${hue} ${sat}% ${light}%)`
-}
-
-// Encode AudioBuffer to WAV (PCM16)
-function audioBufferToWavBlob(buffer) {
-  const numOfChan = buffer.numberOfChannels
-  const sampleRate = buffer.sampleRate
-  const numFrames = buffer.length
-  const bytesPerSample = 2
-  const blockAlign = numOfChan * bytesPerSample
-  const bufferLength = 44 + numFrames * blockAlign
-  const arrayBuffer = new ArrayBuffer(bufferLength)
-  const view = new DataView(arrayBuffer)
-
-  // RIFF header
-  function writeString(view, offset, string) {
-    for (let i = 0; i < string.length; i++) {
-      view.setUint8(offset + i, string.charCodeAt(i))
-    }
-  }
-
-  let offset = 0
-  writeString(view, offset, 'RIFF'); offset += 4
-  view.setUint32(offset, 36 + numFrames * blockAlign, true); offset += 4
-  writeString(view, offset, 'WAVE'); offset += 4
-  writeString(view, offset, 'fmt '); offset += 4
-  view.setUint32(offset, 16, true); offset += 4 // Subchunk1Size
-  view.setUint16(offset, 1, true); offset += 2 // PCM
-  view.setUint16(offset, numOfChan, true); offset += 2
-  view.setUint32(offset, sampleRate, true); offset += 4
-  view.setUint32(offset, sampleRate * blockAlign, true); offset += 4
-  view.setUint16(offset, blockAlign, true); offset += 2
-  view.setUint16(offset, 16, true); offset += 2 // bits per sample
-  writeString(view, offset, 'data'); offset += 4
-  view.setUint32(offset, numFrames * blockAlign, true); offset += 4
-
-  // Write PCM
-  const interleaved = new Float32Array(numFrames * numOfChan)
-  for (let ch = 0; ch < numOfChan; ch++) {
-    const channel = buffer.getChannelData(ch)
-    for (let i = 0; i < numFrames; i++) {
-      interleaved[i * numOfChan + ch] = channel[i]
-    }
-  }
-  let idx = 44
-  for (let i = 0; i < interleaved.length; i++) {
-    let s = Math.max(-1, Math.min(1, interleaved[i]))
-    view.setInt16(idx, s < 0 ? s * 0x8000 : s * 0x7fff, true)
-    idx += 2
-  }
-
-  return new Blob([view], { type: 'audio/wav' })
-}
-
-// Generate ambient audio from prompt using OfflineAudioContext
-async function generateAmbientAudioFromPrompt(prompt, seconds = 8) {
-  const sampleRate = 44100
-  const length = seconds * sampleRate
-  const offline = new OfflineAudioContext(2, length, sampleRate)
-
-  const baseFreq = 110 + (hashString(prompt) % 220)
-  const detuneCents = (hashString(prompt + 'detune') % 200) - 100
-
-  // Create evolving pad with two detuned oscillators
-  const osc1 = offline.createOscillator()
-  osc1.type = 'sawtooth'
-  osc1.frequency.value = baseFreq
-  osc1.detune.value = detuneCents
-
-  const osc2 = offline.createOscillator()
-  osc2.type = 'triangle'
-  osc2.frequency.value = baseFreq / 2
-  osc2.detune.value = -detuneCents
-
-  // Noise layer
-  const noiseBuffer = offline.createBuffer(1, length, sampleRate)
-  const data = noiseBuffer.getChannelData(0)
-  for (let i = 0; i < length; i++) {
-    data[i] = (Math.random() * 2 - 1) * 0.02
-  }
-  const noise = offline.createBufferSource()
-  noise.buffer = noiseBuffer
-
-  // Filter and LFO
-  const filter = offline.createBiquadFilter()
-  filter.type = 'lowpass'
-  filter.frequency.value = 800
-
-  const lfo = offline.createOscillator()
-  lfo.type = 'sine'
-  lfo.frequency.value = 0.1 + (hashString(prompt + 'lfo') % 30) / 100 // 0.1 - 0.4 Hz
-
-  const lfoGain = offline.createGain()
-  lfoGain.gain.value = 600
-  lfo.connect(lfoGain)
-  lfoGain.connect(filter.frequency)
-
-  // Master chain
-  const master = offline.createGain()
-  master.gain.setValueAtTime(0, 0)
-  master.gain.linearRampToValueAtTime(0.8, 1)
-  master.gain.linearRampToValueAtTime(0.6, seconds - 1)
-  master.gain.linearRampToValueAtTime(0.0, seconds)
-
-  const reverb = offline.createConvolver()
-  // Simple impulse response
-  const irLen = sampleRate * 2
-  const ir = offline.createBuffer(2, irLen, sampleRate)
-  for (let c = 0; c < 2; c++) {
-    const ch = ir.getChannelData(c)
-    for (let i = 0; i < irLen; i++) {
-      ch[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / irLen, 3) * 0.6
-    }
-  }
-  reverb.buffer = ir
-
-  const oscGain = offline.createGain()
-  oscGain.gain.value = 0.3
-
-  const noiseGain = offline.createGain()
-  noiseGain.gain.value = 0.15
-
-  osc1.connect(oscGain)
-  osc2.connect(oscGain)
-  noise.connect(filter)
-  filter.connect(noiseGain)
-
-  const mix = offline.createGain()
-  oscGain.connect(mix)
-  noiseGain.connect(mix)
-  mix.connect(reverb)
-  mix.connect(master)
-  reverb.connect(master)
-  master.connect(offline.destination)
-
-  osc1.start(0)
-  osc2.start(0)
-  noise.start(0)
-  lfo.start(0)
-  osc1.stop(seconds)
-  osc2.stop(seconds)
-  noise.stop(seconds)
-  lfo.stop(seconds)
-
-  const rendered = await offline.startRendering()
-  const wavBlob = audioBufferToWavBlob(rendered)
-  return { blob: wavBlob, duration: seconds }
+import { normalizeSeed, randomSeed } from './lib/random'
+import { pickStyleFromPrompt, visualStyles } from './lib/visuals'
+import { CLASSIC_PALETTE, DEFAULT_PALETTE, colorToHex, normalizePalette, resolvePalette, themeVariables } from './lib/palette'
+import { interpretPrompt } from './lib/interpreter'
+import { DEFAULT_COMPOSITION, compositionDuration } from './lib/composition'
+import { DEFAULT_SETTINGS, canvasSize, normalizeSettings } from './lib/settings'
+import { normalizeRack } from './lib/effects'
+import { layerSettings } from './lib/layers'
+import { DEFAULT_MASTERING, normalizeMastering } from './lib/mastering'
+import { DEFAULT_CAPTIONS, normalizeCaptions } from './lib/captions'
+import { DEFAULT_VARIATIONS, planVariations, previewSize } from './lib/variations'
+import { LINK_VERSION, decodeShareLink, encodeShareLink } from './lib/shareLink'
+import { parseManifest } from './lib/manifest'
+import { DEFAULT_TIMELINE, renderTimeline } from './lib/timeline'
+import { audioBufferToChannels, decodeAudioBlob } from './lib/audioEncode'
+import { dsp } from './lib/workers'
+import { renderThumbnail } from './lib/video'
+import { DEFAULT_PROVIDER, getProvider, providers } from './lib/providers'
+import { isAbortError, throttleProgress } from './lib/progress'
+import { describeLimits, detectCapabilities } from './lib/capabilities'
+import { extensionForType } from './lib/export'
+import { createGenerationId, getGeneration, saveGeneration } from './lib/library'
+import ExportDialog from './components/ExportDialog'
+import ParameterPanel from './components/ParameterPanel'
+import CompositionPanel from './components/CompositionPanel'
+import SettingsPanel from './components/SettingsPanel'
+import EffectsRack from './components/EffectsRack'
+import MediaImport from './components/MediaImport'
+import MasteringPanel from './components/MasteringPanel'
+import CaptionsPanel from './components/CaptionsPanel'
+import PalettePanel from './components/PalettePanel'
+import VariationsGrid from './components/VariationsGrid'
+import TimelinePanel from './components/TimelinePanel'
+import LivePreview from './components/LivePreview'
+import GenerationProgress from './components/GenerationProgress'
+import AudioViewer from './components/AudioViewer'
+import { useToast } from './components/Toaster'
+import { inputClass } from './components/styles'
+
+// Records saved before mastering existed were not mastered; re-rendering them should match
+function restoredMastering(record) {
+  return normalizeMastering(record.mastering ?? { enabled: false })
 }
 
-// Generate procedural video via Canvas + MediaRecorder
-async function generateProceduralVideo(prompt, seconds = 6, fps = 30, width = 720, height = 1280) {
-  return new Promise(async (resolve, reject) => {
-    const canvas = document.createElement('canvas')
-    canvas.width = width
-    canvas.height = height
-    const ctx = canvas.getContext('2d')
-
-    const stream = canvas.captureStream(fps)
-    const recorder = new MediaRecorder(stream, { mimeType: 'video/webm;codecs=vp9' })
-    const chunks = []
-    recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data)
-    recorder.onstop = () => {
-      resolve(new Blob(chunks, { type: 'video/webm' }))
-    }
-
-    const color = paletteFromPrompt(prompt)
-    const start = performance.now()
-
-    function draw(t) {
-      const elapsed = (t - start) / 1000
-      // Background gradient
-      const grd = ctx.createLinearGradient(0, 0, width, height)
-      grd.addColorStop(0, '#05070a')
-      grd.addColorStop(1, '#0b1220')
-      ctx.fillStyle = grd
-      ctx.fillRect(0, 0, width, height)
-
-      // Energy ring
-      const cx = width / 2
-      const cy = height / 2
-      const maxR = Math.min(width, height) * 0.35
-      ctx.save()
-      ctx.translate(cx, cy)
-      ctx.rotate(elapsed * 0.6)
-      for (let i = 0; i < 60; i++) {
-        const angle = (i / 60) * Math.PI * 2
-        const r = maxR * (0.7 + 0.25 * Math.sin(elapsed * 2 + i))
-        ctx.strokeStyle = color
-        ctx.globalAlpha = 0.65
-        ctx.lineWidth = 2
-        ctx.beginPath()
-        ctx.arc(0, 0, r, angle, angle + 0.04)
-        ctx.stroke()
-      }
-      ctx.restore()
-
-      // Prompt ribbon
-      ctx.globalAlpha = 0.9
-      ctx.strokeStyle = color
-      ctx.lineWidth = 3
-      ctx.beginPath()
-      for (let i = 0; i < 200; i++) {
-        const x = (i / 199) * width
-        const y = height / 2 + Math.sin((i / 15) + elapsed * 2) * 80 + Math.cos((i / 7) + elapsed * 1.3) * 40
-        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y)
-      }
-      ctx.stroke()
-
-      // Prompt text
-      ctx.globalAlpha = 0.95
-      ctx.fillStyle = '#c7f0ff'
-      ctx.font = '600 28px Manrope, Inter, system-ui, sans-serif'
-      const lines = wrapText(prompt, width * 0.8, ctx)
-      const textY = cy - lines.length * 18
-      lines.forEach((line, idx) => {
-        const tw = ctx.measureText(line).width
-        const x = cx - tw / 2
-        const y = textY + idx * 32
-        ctx.fillText(line, x, y)
-      })
-
-      if (elapsed < seconds) {
-        requestAnimationFrame(draw)
-      } else {
-        recorder.stop()
-      }
-    }
-
-    function wrapText(text, maxWidth, context) {
-      const words = text.split(' ')
-      const lines = []
-      let current = ''
-      for (let w of words) {
-        const test = current ? current + ' ' + w : w
-        const width = context.measureText(test).width
-        if (width > maxWidth && current) {
-          lines.push(current)
-          current = w
-        } else {
-          current = test
-        }
-      }
-      if (current) lines.push(current)
-      return lines.slice(0, 4) // cap lines
-    }
-
-    recorder.start()
-    requestAnimationFrame(draw)
-  })
-}
-
-// Merge: re-render video with same prompt but duration of audio; mix audio via MediaStreamDestination
-async function renderMergedAV(prompt, audioBlob, fps = 30) {
-  const audioCtx = new (window.AudioContext || window.webkitAudioContext)()
-  const arrayBuf = await audioBlob.arrayBuffer()
-  const decoded = await audioCtx.decodeAudioData(arrayBuf.slice(0))
-  const duration = decoded.duration
-
-  const canvas = document.createElement('canvas')
-  const width = 720, height = 1280
-  canvas.width = width
-  canvas.height = height
-  const ctx = canvas.getContext('2d')
-
-  const dest = audioCtx.createMediaStreamDestination()
-  const src = audioCtx.createBufferSource()
-  src.buffer = decoded
-  src.connect(dest)
-  src.connect(audioCtx.destination)
-
-  const stream = new MediaStream()
-  const canvasStream = canvas.captureStream(fps)
-  canvasStream.getVideoTracks().forEach((t) => stream.addTrack(t))
-  dest.stream.getAudioTracks().forEach((t) => stream.addTrack(t))
-
-  const recorder = new MediaRecorder(stream, { mimeType: 'video/webm;codecs=vp9,opus' })
-  const chunks = []
-  recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data)
-
-  const color = paletteFromPrompt(prompt)
-  const start = performance.now()
-
-  function draw(t) {
-    const elapsed = (t - start) / 1000
-    // Background
-    const grd = ctx.createLinearGradient(0, 0, width, height)
-    grd.addColorStop(0, '#05070a')
-    grd.addColorStop(1, '#0b1220')
-    ctx.fillStyle = grd
-    ctx.fillRect(0, 0, width, height)
-
-    // Rotating ring
-    const cx = width / 2
-    const cy = height / 2
-    const maxR = Math.min(width, height) * 0.35
-    ctx.save()
-    ctx.translate(cx, cy)
-    ctx.rotate(elapsed * 0.7)
-    for (let i = 0; i < 60; i++) {
-      const angle = (i / 60) * Math.PI * 2
-      const r = maxR * (0.7 + 0.25 * Math.sin(elapsed * 2 + i))
-      ctx.strokeStyle = color
-      ctx.globalAlpha = 0.65
-      ctx.lineWidth = 2
-      ctx.beginPath()
-      ctx.arc(0, 0, r, angle, angle + 0.04)
-      ctx.stroke()
-    }
-    ctx.restore()
-
-    // Text overlay
-    ctx.globalAlpha = 0.95
-    ctx.fillStyle = '#c7f0ff'
-    ctx.font = '600 28px Manrope, Inter, system-ui, sans-serif'
-    const lines = wrapText(prompt, width * 0.8, ctx)
-    const textY = cy - lines.length * 18
-    lines.forEach((line, idx) => {
-      const tw = ctx.measureText(line).width
-      const x = cx - tw / 2
-      const y = textY + idx * 32
-      ctx.fillText(line, x, y)
-    })
-
-    if (elapsed < duration) {
-      requestAnimationFrame(draw)
-    }
-  }
-
-  function wrapText(text, maxWidth, context) {
-    const words = text.split(' ')
-    const lines = []
-    let current = ''
-    for (let w of words) {
-      const test = current ? current + ' ' + w : w
-      const width = context.measureText(test).width
-      if (width > maxWidth && current) {
-        lines.push(current)
-        current = w
-      } else {
-        current = test
-      }
-    }
-    if (current) lines.push(current)
-    return lines.slice(0, 4)
-  }
-
-  return new Promise((resolve) => {
-    recorder.onstop = () => {
-      resolve(new Blob(chunks, { type: 'video/webm' }))
-    }
-    recorder.start()
-    requestAnimationFrame(draw)
-    // Start audio slightly after recorder starts
-    setTimeout(() => {
-      src.start()
-    }, 50)
-    setTimeout(() => {
-      recorder.stop()
-    }, Math.ceil(duration * 1000) + 100)
-  })
+// Likewise records from before palettes keep the classic look they were made with
+function restoredPalette(record) {
+  return normalizePalette(record.palette ?? CLASSIC_PALETTE)
 }
 
 function EnergyLoader({ show }) {
   return (
     <div className={`transition-opacity ${show ? 'opacity-100' : 'opacity-0 pointer-events-none'}`}>
-      <div className="mx-auto mt-6 w-20 h-20 rounded-full border-4 border-cyan-300/30 border-t-cyan-400 animate-spin shadow-[0_0_20px_#22d3ee]" />
+      <div className="mx-auto mt-6 w-20 h-20 rounded-full border-4 border-theme/30 border-t-theme animate-spin shadow-[0_0_20px_rgb(var(--theme-primary))]" />
     </div>
   )
 }
 
 export default function App() {
-  const [prompt, setPrompt] = useState('A dark biomechanical lord awakens amidst thunder')
+  const location = useLocation()
+  const navigate = useNavigate()
+  // A deep link (see shareLink.js) provides the initial inputs
+  const [link] = useState(() => decodeShareLink(location.search))
+  const linked = link?.state ?? {}
+  const [prompt, setPrompt] = useState(linked.prompt ?? 'A dark biomechanical lord awakens amidst thunder')
+  const [seed, setSeed] = useState(() => linked.seed ?? randomSeed())
+  const [style, setStyle] = useState(linked.style ?? 'auto')
+  const [overrides, setOverrides] = useState(linked.overrides ?? {})
+  const [composition, setComposition] = useState(linked.composition ?? DEFAULT_COMPOSITION)
+  const [effects, setEffects] = useState(linked.effects ?? [])
+  const [mastering, setMastering] = useState(linked.mastering ?? DEFAULT_MASTERING)
+  const [loudness, setLoudness] = useState(null) // measurement of the current audio
+  const [layers, setLayers] = useState([]) // imported images and video under the visuals
+  const [importedAudio, setImportedAudio] = useState(null) // file name when the audio was imported
+  const [captions, setCaptions] = useState(linked.captions ?? DEFAULT_CAPTIONS)
+  const [palette, setPalette] = useState(linked.palette ?? DEFAULT_PALETTE)
+  const [variationOptions, setVariationOptions] = useState(DEFAULT_VARIATIONS)
+  const [variants, setVariants] = useState([]) // { id, seed, overrides, parentId, audioBlob?, mergedBlob?, favourite? }
+  const [timeline, setTimeline] = useState(DEFAULT_TIMELINE)
+  const [arrangement, setArrangement] = useState(null) // { audioBlob, layers, animation, mergedBlob } of the last timeline render
+  const [settings, setSettings] = useState(linked.settings ?? DEFAULT_SETTINGS)
+  const [providerId, setProviderId] = useState(linked.provider ? getProvider(linked.provider).id : DEFAULT_PROVIDER)
   const [audioBlob, setAudioBlob] = useState(null)
   const [videoBlob, setVideoBlob] = useState(null)
   const [mergedBlob, setMergedBlob] = useState(null)
   const [loading, setLoading] = useState('') // '', 'audio', 'video', 'merge'
+  const [progress, setProgress] = useState(null) // latest progress event of the running job
+  const [pendingRerender, setPendingRerender] = useState(null)
+  const [capabilities, setCapabilities] = useState(null)
   const videoRef = useRef(null)
   const mergedRef = useRef(null)
-  const color = useMemo(() => paletteFromPrompt(prompt), [prompt])
-
-  const generateAudio = async () => {
+  const audioRef = useRef(null)
+  const mergedVideoRef = useRef(null)
+  const libraryRef = useRef(null) // { id, key } of the library record for the current settings
+  const manifestInputRef = useRef(null)
+  const openedRef = useRef(null)
+  const jobRef = useRef(null) // AbortController of the running job
+  const variationBatchRef = useRef(0)
+  const toast = useToast()
+  const interpreted = useMemo(() => interpretPrompt(prompt), [prompt])
+  const params = useMemo(() => ({ ...interpreted.params, ...overrides }), [interpreted, overrides])
+  const autoStyle = useMemo(() => pickStyleFromPrompt(prompt), [prompt])
+  // Inputs may hold half-typed values; generators always get clamped ones
+  const output = useMemo(() => ({ ...normalizeSettings(settings), ...canvasSize(settings) }), [settings])
+  const captionSettings = useMemo(() => normalizeCaptions(captions), [captions])
+  const paletteSettings = useMemo(() => normalizePalette(palette), [palette])
+  const scheme = useMemo(() => resolvePalette(paletteSettings, prompt, params.hue), [paletteSettings, prompt, params.hue])
+  const { width, height, fps } = output
+  const provider = getProvider(providerId)
+  // Only the in-browser provider is limited by what this browser supports
+  const limits = useMemo(() => (capabilities && provider.runsInBrowser ? describeLimits(capabilities) : null), [capabilities, provider])
+  const limitNotes = [...new Set([limits?.audio, limits?.video, limits?.merge, limits?.videoFallback].filter(Boolean))]
+
+  // Upsert the current settings and new blobs into the library. Changing any input
+  // starts a new record; regenerating with the same inputs updates the existing one.
+  const persist = async (fields) => {
+    const key = JSON.stringify({ prompt, seed, style, overrides, composition, effects, mastering, captions: captionSettings, palette: paletteSettings, settings, layers: layerSettings(layers), provider: provider.id })
+    if (libraryRef.current?.key !== key) libraryRef.current = { id: createGenerationId(), key }
     try {
-      setLoading('audio')
-      const { blob } = await generateAmbientAudioFromPrompt(prompt, 8)
-      setAudioBlob(blob)
+      const thumbnail = await renderThumbnail({ prompt, style, seed, hue: params.hue, width, height, layers, captions: captionSettings, palette: paletteSettings, seconds: output.videoSeconds, loop: output.loop })
+      await saveGeneration(libraryRef.current.id, { prompt, seed, style, overrides, params, composition, effects, mastering, captions: captionSettings, palette: paletteSettings, settings, layers, provider: provider.id, thumbnail, ...fields })
     } catch (e) {
-      console.error(e)
-      alert('Audio generation failed. Please try again.')
-    } finally {
-      setLoading('')
+      console.error('Saving to library failed', e)
+      toast({ title: 'Could not save to the library', description: e.message, variant: 'error' })
     }
   }
 
-  const generateVideo = async () => {
+  // Run one generation step with progress reporting and a Cancel button. Resolves with
+  // fn's result, or undefined when it failed or was cancelled (both shown as toasts).
+  const runJob = async (kind, label, fn) => {
+    const controller = new AbortController()
+    jobRef.current = controller
+    setLoading(kind)
+    setProgress({ phase: 'Starting', progress: null, startedAt: Date.now() })
+    const onProgress = throttleProgress((event) => setProgress((p) => ({ ...event, startedAt: p?.startedAt ?? Date.now() })))
     try {
-      setLoading('video')
-      const blob = await generateProceduralVideo(prompt, 6, 30)
-      setVideoBlob(blob)
+      return await fn({ signal: controller.signal, onProgress })
     } catch (e) {
-      console.error(e)
-      alert('Video generation failed. Please try again.')
+      if (isAbortError(e)) {
+        toast({ title: `${label} cancelled` })
+      } else {
+        console.error(e)
+        toast({ title: `${label} failed`, description: e.message || 'Please try again.', variant: 'error' })
+      }
     } finally {
+      jobRef.current = null
       setLoading('')
+      setProgress(null)
     }
   }
 
-  const mergeAndPreview = async () => {
-    if (!audioBlob) return alert('Generate audio first.')
-    try {
-      setLoading('merge')
-      const blob = await renderMergedAV(prompt, audioBlob, 30)
+  const generateAudio = () => runJob('audio', 'Audio generation', async (progress) => {
+    const seconds = composition.enabled ? compositionDuration(composition, output.loop) : output.audioSeconds
+    const blob = await provider.generateAudio({ prompt, seed, params, composition, effects, mastering: normalizeMastering(mastering), seconds, loop: output.loop }, progress)
+    setAudioBlob(blob)
+    setImportedAudio(null)
+    await persist({ audioBlob: blob, importedAudio: null })
+    return blob
+  })
+
+  // The user's own audio file stands in for generated audio until audio is generated again
+  const importAudio = (file) => {
+    setAudioBlob(file)
+    setImportedAudio(file.name)
+    setMergedBlob(null)
+    persist({ audioBlob: file, importedAudio: file.name })
+  }
+
+  const generateVideo = () => runJob('video', 'Video generation', async (progress) => {
+    const blob = await provider.generateVideo({ prompt, seed, style, params, seconds: output.videoSeconds, fps, width, height, captions: captionSettings, palette: paletteSettings, loop: output.loop, layers }, progress)
+    setVideoBlob(blob)
+    await persist({ videoBlob: blob })
+    return blob
+  })
+
+  const overrideParam = (key, value) => setOverrides((o) => ({ ...o, [key]: value }))
+  const resetParams = (key) => setOverrides((o) => {
+    if (!key) return {}
+    const { [key]: _, ...rest } = o
+    return rest
+  })
+
+  const mergeAndPreview = (audio = audioBlob) => {
+    if (!audio) return toast({ title: 'Generate or import audio first.' })
+    return runJob('merge', 'Merge', async (progress) => {
+      const blob = await provider.mergeAudioVideo({ prompt, seed, style, params, fps, width, height, captions: captionSettings, palette: paletteSettings, loop: output.loop, layers, audioBlob: audio }, progress)
       setMergedBlob(blob)
+      await persist({ mergedBlob: blob })
       // Auto-scroll to preview
       setTimeout(() => {
         mergedRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' })
       }, 100)
+      return blob
+    })
+  }
+
+  // Render variants of the prompt around base (the main result, or a variant to branch
+  // from, which is kept first). Each gets its audio and a small merged preview; finished
+  // ones stay in the grid if a later one fails or is cancelled.
+  const generateVariations = (base = { seed, overrides }, keep = []) => {
+    const count = variationOptions.count - keep.length
+    const planned = planVariations({ prompt, seed: base.seed, overrides: base.overrides, params: { ...interpreted.params, ...base.overrides } },
+      { ...variationOptions, count }, variationBatchRef.current++, keep[0]?.id ?? null)
+    setVariants([...keep, ...planned])
+    return runJob('variations', 'Variations', async ({ signal, onProgress }) => {
+      const seconds = composition.enabled ? compositionDuration(composition, output.loop) : output.audioSeconds
+      const preview = previewSize({ width, height })
+      for (const [i, variant] of planned.entries()) {
+        const step = (stage) => (event) => onProgress({
+          ...event,
+          phase: `Variation ${i + 1} of ${count}: ${event.phase}`,
+          progress: event.progress == null ? null : (i + (stage + event.progress) / 2) / count,
+        })
+        const variantParams = { ...interpreted.params, ...variant.overrides }
+        const audio = await provider.generateAudio({ prompt, seed: variant.seed, params: variantParams, composition, effects, mastering: normalizeMastering(mastering), seconds, loop: output.loop }, { signal, onProgress: step(0) })
+        const merged = await provider.mergeAudioVideo({ prompt, seed: variant.seed, style, params: variantParams, fps, ...preview, captions: captionSettings, palette: paletteSettings, loop: output.loop, layers, audioBlob: audio }, { signal, onProgress: step(1) })
+        setVariants((list) => list.map((v) => (v.id === variant.id ? { ...v, audioBlob: audio, mergedBlob: merged } : v)))
+      }
+    })
+  }
+
+  // Mix the timeline down and merge it with its visual tracks into the merged preview.
+  // Timeline renders are not saved to the library: their media is not part of a record.
+  const renderTimelineClip = () => runJob('timeline', 'Timeline render', async (progress) => {
+    const { audioBlob: mixdown, layers: timed } = await renderTimeline(timeline, progress)
+    const blob = await provider.mergeAudioVideo({ prompt, seed, style, params, fps, width, height, captions: captionSettings, palette: paletteSettings, loop: false, layers: timed, animation: timeline.animation, audioBlob: mixdown }, progress)
+    setMergedBlob(blob)
+    setArrangement({ audioBlob: mixdown, layers: timed, animation: timeline.animation, mergedBlob: blob })
+    setTimeout(() => {
+      mergedRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    }, 100)
+    return blob
+  })
+
+  // Media that can be placed on the timeline
+  const timelineSources = [
+    audioBlob && { id: 'audio', name: importedAudio || 'Generated audio', kind: 'audio', blob: audioBlob },
+    videoBlob && { id: 'video', name: 'Generated video', kind: 'video', blob: videoBlob },
+    mergedBlob && { id: 'merged', name: 'Merged preview', kind: 'video', blob: mergedBlob },
+    ...variants.filter((v) => v.audioBlob).map((v, i) => ({ id: `${v.id}-audio`, name: `Variation ${i + 1} audio`, kind: 'audio', blob: v.audioBlob })),
+    ...variants.filter((v) => v.mergedBlob).map((v, i) => ({ id: `${v.id}-merged`, name: `Variation ${i + 1} preview`, kind: 'video', blob: v.mergedBlob })),
+    ...layers.map((l) => ({ id: l.id, name: l.name, kind: l.kind, blob: l.blob })),
+  ].filter(Boolean)
+
+  // Exports follow the merged preview, which may be the last timeline render
+  const timelineExport = arrangement && arrangement.mergedBlob === mergedBlob ? arrangement : null
+
+  const favouriteVariant = (id) => setVariants((list) => list.map((v) => ({ ...v, favourite: v.id === id ? !v.favourite : false })))
+
+  // Make a variant the main result: take its seed and parameters, keep its audio and
+  // render the full-size merge
+  const promoteVariant = (variant) => {
+    setSeed(variant.seed)
+    setOverrides(variant.overrides)
+    setAudioBlob(variant.audioBlob)
+    setImportedAudio(null)
+    setVideoBlob(null)
+    setMergedBlob(null)
+    setPendingRerender({ promoted: variant.audioBlob })
+  }
+
+  // The chrome follows the palette; set on the root so portaled dialogs and toasts get it too
+  useEffect(() => {
+    const root = document.documentElement.style
+    Object.entries(themeVariables(scheme)).forEach(([name, value]) => root.setProperty(name, value))
+  }, [scheme])
+
+  // Loudness of whatever audio is loaded, generated or imported
+  useEffect(() => {
+    setLoudness(null)
+    if (!audioBlob) return
+    let cancelled = false
+    decodeAudioBlob(audioBlob, 44100)
+      .then((buffer) => {
+        const audio = audioBufferToChannels(buffer)
+        return dsp('measureLoudness', audio, { transfer: audio.channels.map((c) => c.buffer) })
+      })
+      .then((result) => !cancelled && setLoudness(result), (e) => console.error('Loudness measurement failed', e))
+    return () => { cancelled = true }
+  }, [audioBlob])
+
+  useEffect(() => {
+    detectCapabilities().then(setCapabilities, (e) => console.error('Capability probe failed', e))
+  }, [])
+
+  // Re-open a library record passed from the gallery via router state
+  useEffect(() => {
+    const { openId, rerender } = location.state || {}
+    if (!openId || openedRef.current === location.key) return // StrictMode runs effects twice
+    openedRef.current = location.key
+    navigate('.', { replace: true, state: null })
+    getGeneration(openId).then((record) => {
+      if (!record) return
+      setPrompt(record.prompt)
+      setSeed(record.seed)
+      setStyle(record.style)
+      setOverrides(record.overrides || {})
+      setComposition(record.composition || DEFAULT_COMPOSITION)
+      setEffects(normalizeRack(record.effects))
+      setMastering(restoredMastering(record))
+      setLayers(record.layers || [])
+      setCaptions(normalizeCaptions(record.captions))
+      setPalette(restoredPalette(record))
+      setImportedAudio(record.importedAudio || null)
+      setSettings(normalizeSettings(record.settings))
+      setProviderId(getProvider(record.provider).id)
+      setAudioBlob(record.audioBlob || null)
+      setVideoBlob(record.videoBlob || null)
+      setMergedBlob(record.mergedBlob || null)
+      libraryRef.current = {
+        id: record.id,
+        key: JSON.stringify({
+          prompt: record.prompt,
+          seed: record.seed,
+          style: record.style,
+          overrides: record.overrides || {},
+          composition: record.composition || DEFAULT_COMPOSITION,
+          effects: normalizeRack(record.effects),
+          mastering: restoredMastering(record),
+          captions: normalizeCaptions(record.captions),
+          palette: restoredPalette(record),
+          settings: normalizeSettings(record.settings),
+          layers: layerSettings(record.layers),
+          provider: getProvider(record.provider).id,
+        }),
+      }
+      // Imported audio cannot be regenerated; the merge reuses the stored file
+      const imported = record.importedAudio ? record.audioBlob : null
+      if (rerender) setPendingRerender({ audio: !!record.audioBlob && !imported, imported, video: !!record.videoBlob, merged: !!record.mergedBlob })
+    })
+  }, [location.state, location.key, navigate])
+
+  // Keep the address bar a shareable link to the current inputs
+  const shareState = { prompt, seed, style, overrides, composition, effects, mastering, captions: captionSettings, palette: paletteSettings, settings, provider: provider.id }
+  const shareQuery = encodeShareLink(shareState)
+  useEffect(() => {
+    if (location.search.slice(1) !== shareQuery) navigate({ search: shareQuery }, { replace: true })
+  }, [shareQuery])
+
+  // A link may ask to render on open; the state it set up has rendered by now
+  const linkHandledRef = useRef(false)
+  useEffect(() => {
+    if (!link || linkHandledRef.current) return // StrictMode runs effects twice
+    linkHandledRef.current = true
+    if (link.version > LINK_VERSION) toast({ title: 'This link is from a newer version', description: 'Settings this version does not know were ignored.' })
+    if (link.render) setPendingRerender({ merged: true })
+  }, [])
+
+  // Rebuild the inputs recorded in an export's manifest (see manifest.js). Results of
+  // other inputs are cleared; media is not in the manifest and has to be added again.
+  const importManifest = async (file) => {
+    try {
+      const { state, missingMedia, newer } = parseManifest(await file.text())
+      setPrompt(state.prompt)
+      setSeed(state.seed)
+      setStyle(state.style)
+      setOverrides(state.overrides)
+      setComposition(state.composition)
+      setEffects(state.effects)
+      setMastering(state.mastering)
+      setCaptions(state.captions)
+      setPalette(state.palette)
+      setSettings(state.settings)
+      if (state.provider) setProviderId(getProvider(state.provider).id)
+      setLayers([])
+      setImportedAudio(null)
+      setAudioBlob(null)
+      setVideoBlob(null)
+      setMergedBlob(null)
+      const notes = [
+        newer && 'It is from a newer version; unknown settings were ignored.',
+        missingMedia.length && `Import the media again: ${missingMedia.join(', ')}.`,
+      ].filter(Boolean)
+      toast({ title: `Loaded ${file.name}`, description: notes.join(' ') || 'Generate to recreate the asset.', variant: 'success' })
     } catch (e) {
-      console.error(e)
-      alert('Merge failed. Please try again.')
-    } finally {
-      setLoading('')
+      toast({ title: 'Could not import the manifest', description: e.message, variant: 'error' })
+    }
+  }
+
+  const copyLink = async (render) => {
+    const url = `${window.location.origin}${location.pathname}?${encodeShareLink(shareState, { render })}`
+    try {
+      await navigator.clipboard.writeText(url)
+      toast({ title: 'Link copied', description: render ? 'It renders the clip when opened.' : 'It opens with these settings.' })
+    } catch (e) {
+      toast({ title: 'Could not copy the link', description: e.message, variant: 'error' })
     }
   }
 
+  // Runs after the restored settings have rendered, so the handlers see them
+  useEffect(() => {
+    if (!pendingRerender) return
+    setPendingRerender(null)
+    ;(async () => {
+      const { imported, promoted } = pendingRerender
+      if (promoted) await persist({ audioBlob: promoted, importedAudio: null })
+      const audio = imported || promoted || (pendingRerender.audio || pendingRerender.merged ? await generateAudio() : null)
+      if (pendingRerender.video) await generateVideo()
+      if ((pendingRerender.merged || promoted) && audio) await mergeAndPreview(audio)
+    })()
+  }, [pendingRerender])
+
   const audioUrl = useMemo(() => (audioBlob ? URL.createObjectURL(audioBlob) : null), [audioBlob])
   const videoUrl = useMemo(() => (videoBlob ? URL.createObjectURL(videoBlob) : null), [videoBlob])
   const mergedUrl = useMemo(() => (mergedBlob ? URL.createObjectURL(mergedBlob) : null), [mergedBlob])
@@ -455,101 +415,253 @@ export default function App() {
   }, [audioUrl, videoUrl, mergedUrl])
 
   return (
-    <div className="min-h-screen w-full bg-[#05070a] text-white">
+    <div className="min-h-screen w-full bg-theme-background text-white">
       {/* Hero with Spline */}
       <div className="relative h-[60vh] sm:h-[70vh]">
         <div className="absolute inset-0">
           <Spline scene="https://prod.spline.design/EF7JOSsHLk16Tlw9/scene.splinecode" style={{ width: '100%', height: '100%' }} />
         </div>
-        <div className="absolute inset-0 bg-gradient-to-b from-transparent via-[#05070a]/10 to-[#05070a] pointer-events-none" />
+        <div className="absolute inset-0 bg-gradient-to-b from-transparent via-theme-background/10 to-theme-background pointer-events-none" />
         <div className="absolute inset-0 flex items-center justify-center">
           <div className="px-6 text-center">
-            <h1 className="text-3xl sm:text-5xl font-extrabold tracking-tight" style={{ textShadow: '0 0 24px rgba(34,211,238,0.45)' }}>
+            <h1 className="text-3xl sm:text-5xl font-extrabold tracking-tight" style={{ textShadow: '0 0 24px rgb(var(--theme-primary) / 0.45)' }}>
               AuralForge – Create the Unseen and Unheard
             </h1>
-            <p className="mt-4 text-cyan-200/80 max-w-2xl mx-auto">
+            <p className="mt-4 text-theme-text/80 max-w-2xl mx-auto">
               Turn a single prompt into evocative soundscapes and mesmerizing visuals.
             </p>
           </div>
         </div>
+        <Link to="/library"
+              className="absolute top-4 right-4 rounded-lg px-4 py-2 text-sm font-semibold border border-theme/30 bg-[#0b1220]/70 backdrop-blur-md text-theme-text hover:bg-theme/10 transition">
+          Library
+        </Link>
       </div>
 
       {/* Generator Panel */}
       <div className="max-w-5xl mx-auto px-4 -mt-20">
-        <div className="rounded-2xl border border-cyan-400/20 bg-[#0b1220]/70 backdrop-blur-md shadow-[0_0_40px_rgba(34,211,238,0.15)]">
+        <div className="rounded-2xl border border-theme/20 bg-[#0b1220]/70 backdrop-blur-md shadow-[0_0_40px_rgb(var(--theme-primary)/0.15)]">
           <div className="p-6 sm:p-8">
             <div className="flex flex-col gap-4">
-              <input
-                value={prompt}
-                onChange={(e) => setPrompt(e.target.value)}
-                placeholder="Describe your vision..."
-                className="w-full rounded-xl bg-[#0a0f1a] border border-cyan-400/30 px-4 py-4 text-base outline-none focus:ring-2 ring-cyan-400/60 shadow-[inset_0_0_12px_rgba(34,211,238,0.15)]"
-                style={{ boxShadow: 'inset 0 0 20px rgba(34,211,238,0.12)' }}
-              />
+              <div className="grid gap-4 lg:grid-cols-[1fr_22rem] items-start">
+                <div className="flex flex-col gap-4">
+                  <input
+                    value={prompt}
+                    onChange={(e) => setPrompt(e.target.value)}
+                    placeholder="Describe your vision..."
+                    className="w-full rounded-xl bg-[#0a0f1a] border border-theme/30 px-4 py-4 text-base outline-none focus:ring-2 ring-theme/60 shadow-[inset_0_0_12px_rgb(var(--theme-primary)/0.15)]"
+                  />
+
+                  <div className="flex items-center gap-3 text-sm">
+                    <label htmlFor="seed" className="text-theme-text/80 font-semibold">Seed</label>
+                    <input
+                      id="seed"
+                      type="number"
+                      min={0}
+                      value={seed}
+                      onChange={(e) => setSeed(normalizeSeed(e.target.value))}
+                      className={`w-40 font-mono ${inputClass}`}
+                    />
+                    <button onClick={() => setSeed(randomSeed())} disabled={!!loading}
+                            className="rounded-lg px-3 py-2 border border-theme/30 text-theme-text hover:bg-theme/10 transition">
+                      Shuffle
+                    </button>
+                    <span className="text-theme-text/50">Same prompt + seed = identical output.</span>
+                  </div>
+
+                  <div className="flex items-center gap-3 text-sm">
+                    <label htmlFor="style" className="text-theme-text/80 font-semibold">Visual style</label>
+                    <select
+                      id="style"
+                      value={style}
+                      onChange={(e) => setStyle(e.target.value)}
+                      className={inputClass}
+                    >
+                      <option value="auto">Auto ({visualStyles[autoStyle].label})</option>
+                      {Object.entries(visualStyles).map(([id, s]) => (
+                        <option key={id} value={id}>{s.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {Object.keys(providers).length > 1 && (
+                    <div className="flex items-center gap-3 text-sm">
+                      <label htmlFor="provider" className="text-theme-text/80 font-semibold">Generator</label>
+                      <select
+                        id="provider"
+                        value={provider.id}
+                        onChange={(e) => setProviderId(e.target.value)}
+                        className={inputClass}
+                      >
+                        {Object.values(providers).map((p) => (
+                          <option key={p.id} value={p.id}>{p.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex flex-col gap-4">
+                  <ParameterPanel
+                    params={params}
+                    overrides={overrides}
+                    matches={interpreted.matches}
+                    onChange={overrideParam}
+                    onReset={resetParams}
+                    disabled={!!loading}
+                  />
+                  <LivePreview
+                    prompt={prompt}
+                    seed={seed}
+                    params={params}
+                    effects={effects}
+                    onRender={generateAudio}
+                    disabled={!!loading}
+                    renderDisabled={limits?.audio}
+                  />
+                </div>
+              </div>
+
+              <CompositionPanel composition={composition} onChange={setComposition} disabled={!!loading} />
+
+              <EffectsRack rack={effects} onChange={setEffects} disabled={!!loading} />
+
+              <MediaImport layers={layers} onLayersChange={setLayers} importedAudio={importedAudio} onImportAudio={importAudio} disabled={!!loading} />
+
+              <MasteringPanel mastering={mastering} onChange={setMastering} loudness={loudness} hasAudio={!!audioBlob} disabled={!!loading} />
+
+              <CaptionsPanel captions={captions} onChange={setCaptions} prompt={prompt} duration={output.videoSeconds} paletteText={colorToHex(scheme.text)} disabled={!!loading} />
+
+              <PalettePanel palette={paletteSettings} onChange={setPalette} scheme={scheme} disabled={!!loading} />
+
+              <SettingsPanel settings={settings} onChange={setSettings} composition={composition} disabled={!!loading} />
+
+              {limitNotes.length > 0 && (
+                <ul className="rounded-xl border border-amber-400/30 bg-amber-500/5 px-4 py-3 text-sm text-amber-200/90 list-disc list-inside">
+                  {limitNotes.map((note) => <li key={note}>{note}</li>)}
+                </ul>
+              )}
 
               <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-2">
-                <button onClick={generateAudio} disabled={!!loading}
-                        className={`rounded-lg px-4 py-3 font-semibold transition ${loading==='audio' ? 'bg-cyan-500/30' : 'bg-cyan-500 hover:bg-cyan-400'} text-black`}>
+                <button onClick={generateAudio} disabled={!!loading || !!limits?.audio} title={limits?.audio || undefined}
+                        className={`rounded-lg px-4 py-3 font-semibold transition ${loading==='audio' ? 'bg-theme/30' : 'bg-theme hover:bg-theme/80'} text-black disabled:opacity-40`}>
                   Generate Audio
                 </button>
-                <button onClick={generateVideo} disabled={!!loading}
-                        className={`rounded-lg px-4 py-3 font-semibold transition ${loading==='video' ? 'bg-cyan-500/30' : 'bg-cyan-500 hover:bg-cyan-400'} text-black`}>
+                <button onClick={generateVideo} disabled={!!loading || !!limits?.video} title={limits?.video || undefined}
+                        className={`rounded-lg px-4 py-3 font-semibold transition ${loading==='video' ? 'bg-theme/30' : 'bg-theme hover:bg-theme/80'} text-black disabled:opacity-40`}>
                   Generate Video
                 </button>
-                <button onClick={mergeAndPreview} disabled={!!loading || !audioBlob}
-                        className={`rounded-lg px-4 py-3 font-semibold transition ${loading==='merge' ? 'bg-cyan-500/30' : 'bg-cyan-500 hover:bg-cyan-400'} text-black col-span-2 sm:col-span-1`}>
+                <button onClick={() => mergeAndPreview()} disabled={!!loading || !audioBlob || !!limits?.merge} title={limits?.merge || undefined}
+                        className={`rounded-lg px-4 py-3 font-semibold transition ${loading==='merge' ? 'bg-theme/30' : 'bg-theme hover:bg-theme/80'} text-black col-span-2 sm:col-span-1 disabled:opacity-40`}>
                   Merge & Preview
                 </button>
                 <a
                   href={mergedUrl || videoUrl || audioUrl || '#'}
-                  download={`auralforge-${Date.now()}.${mergedUrl ? 'webm' : videoUrl ? 'webm' : 'wav'}`}
-                  className={`rounded-lg px-4 py-3 font-semibold transition text-black text-center ${mergedUrl || videoUrl || audioUrl ? 'bg-cyan-500 hover:bg-cyan-400' : 'bg-cyan-500/30 pointer-events-none'}`}
+                  download={`auralforge-${Date.now()}.${extensionForType((mergedBlob || videoBlob || audioBlob)?.type)}`}
+                  className={`rounded-lg px-4 py-3 font-semibold transition text-black text-center ${mergedUrl || videoUrl || audioUrl ? 'bg-theme hover:bg-theme/80' : 'bg-theme/30 pointer-events-none'}`}
                 >
                   Download
                 </a>
               </div>
 
+              <div className="flex flex-wrap justify-end gap-3">
+                <button onClick={() => copyLink(false)}
+                        className="rounded-lg px-4 py-3 font-semibold transition border border-theme/40 text-theme-text hover:bg-theme/10">
+                  Copy link
+                </button>
+                <button onClick={() => copyLink(true)} title="The link renders the clip as soon as it is opened"
+                        className="rounded-lg px-4 py-3 font-semibold transition border border-theme/40 text-theme-text hover:bg-theme/10">
+                  Copy render link
+                </button>
+                <button onClick={() => manifestInputRef.current?.click()} disabled={!!loading}
+                        className="rounded-lg px-4 py-3 font-semibold transition border border-theme/40 text-theme-text hover:bg-theme/10 disabled:opacity-40">
+                  Import manifest
+                </button>
+                <input ref={manifestInputRef} type="file" accept=".json,application/json" className="hidden"
+                       onChange={(e) => { if (e.target.files[0]) importManifest(e.target.files[0]); e.target.value = '' }} />
+                <ExportDialog
+                  disabled={!!loading}
+                  provenance={{
+                    generator: shareState,
+                    media: timelineExport
+                      ? { audio: 'timeline', importedAudio: null, layers: layerSettings(timelineExport.layers) }
+                      : { audio: audioBlob ? (importedAudio ? 'imported' : 'generated') : null, importedAudio, layers: layerSettings(layers) },
+                  }}
+                  clip={timelineExport
+                    ? { prompt, style, seed, hue: params.hue, fps, width, height, captions: captionSettings, palette: paletteSettings, loop: false, layers: timelineExport.layers, animation: timelineExport.animation, audioBlob: timelineExport.audioBlob }
+                    : { prompt, style, seed, hue: params.hue, seconds: output.videoSeconds, fps, width, height, captions: captionSettings, palette: paletteSettings, loop: output.loop, layers, audioBlob }}
+                />
+              </div>
+
+              <VariationsGrid
+                variants={variants}
+                options={variationOptions}
+                onOptionsChange={setVariationOptions}
+                onGenerate={() => generateVariations()}
+                onBranch={(variant) => generateVariations(variant, [{ ...variant, parentId: null }])}
+                onPromote={promoteVariant}
+                onFavourite={favouriteVariant}
+                onClear={() => setVariants([])}
+                disabled={!!loading || !!limits?.merge}
+              />
+
+              <TimelinePanel
+                timeline={timeline}
+                onChange={setTimeline}
+                sources={timelineSources}
+                onRender={renderTimelineClip}
+                disabled={!!loading}
+                renderDisabled={!!limits?.merge}
+              />
+
               <EnergyLoader show={!!loading} />
+              {progress && <GenerationProgress progress={progress} onCancel={() => jobRef.current?.abort()} />}
 
               {/* Results */}
               <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-4">
                 <div className="md:col-span-1">
-                  <h3 className="text-cyan-200/80 font-semibold mb-2">Audio</h3>
-                  <div className="rounded-xl border border-cyan-400/20 bg-[#07101a] p-4">
+                  <h3 className="text-theme-text/80 font-semibold mb-2">Audio</h3>
+                  <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4">
                     {audioUrl ? (
-                      <audio controls src={audioUrl} className="w-full" />
+                      <>
+                        <audio ref={audioRef} controls src={audioUrl} className="w-full" />
+                        <AudioViewer blob={audioBlob} mediaRef={audioRef} color={scheme.primary} />
+                      </>
                     ) : (
-                      <p className="text-cyan-100/50">No audio yet.</p>
+                      <p className="text-theme-text/50">No audio yet.</p>
                     )}
                   </div>
                 </div>
 
                 <div className="md:col-span-1">
-                  <h3 className="text-cyan-200/80 font-semibold mb-2">Video</h3>
-                  <div className="rounded-xl border border-cyan-400/20 bg-[#07101a] p-4">
+                  <h3 className="text-theme-text/80 font-semibold mb-2">Video</h3>
+                  <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4">
                     {videoUrl ? (
                       <video ref={videoRef} controls src={videoUrl} className="w-full rounded-lg" />
                     ) : (
-                      <p className="text-cyan-100/50">No video yet.</p>
+                      <p className="text-theme-text/50">No video yet.</p>
                     )}
                   </div>
                 </div>
 
                 <div className="md:col-span-1" ref={mergedRef}>
-                  <h3 className="text-cyan-200/80 font-semibold mb-2">Merged Preview</h3>
-                  <div className="rounded-xl border border-cyan-400/20 bg-[#07101a] p-4">
+                  <h3 className="text-theme-text/80 font-semibold mb-2">Merged Preview</h3>
+                  <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4">
                     {mergedUrl ? (
-                      <video controls src={mergedUrl} className="w-full rounded-lg" />
+                      <>
+                        <video ref={mergedVideoRef} controls src={mergedUrl} className="w-full rounded-lg" />
+                        <AudioViewer blob={mergedBlob} mediaRef={mergedVideoRef} color={scheme.primary} />
+                      </>
                     ) : (
-                      <p className="text-cyan-100/50">Generate audio, then Merge & Preview.</p>
+                      <p className="text-theme-text/50">Generate or import audio, then Merge & Preview.</p>
                     )}
                   </div>
                 </div>
               </div>
 
-              {/* Advanced users: API key note */}
-              <div className="mt-6 text-xs text-cyan-200/60">
-                Optional: You can swap the local generators with your favorite AI APIs (OpenAI, Pika, Runway, etc.) using fetch and an API key. This demo runs fully in your browser with no server.
+              {/* Advanced users: backend provider note */}
+              <div className="mt-6 text-xs text-theme-text/60">
+                Optional: Set VITE_BACKEND_URL to plug in your own generation backend (see the README for the request format). Without it everything runs fully in your browser with no server.
               </div>
             </div>
           </div>
@@ -557,7 +669,7 @@ export default function App() {
 
         {/* Ambient glow */}
         <div className="relative h-32">
-          <div className="absolute inset-x-0 top-6 mx-auto h-32 w-3/4 rounded-full blur-3xl" style={{ background: `radial-gradient(ellipse at center, ${color}33, transparent 70%)` }} />
+          <div className="absolute inset-x-0 top-6 mx-auto h-32 w-3/4 rounded-full blur-3xl" style={{ background: 'radial-gradient(ellipse at center, rgb(var(--theme-primary) / 0.2), rgb(var(--theme-accent) / 0.08) 45%, transparent 70%)' }} />
         </div>
       </div>
     </div>
@@ -0,0 +1,147 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { deleteGeneration, listGenerations, storageEstimate } from './lib/library'
+import { useToast } from './components/Toaster'
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  const units = ['KB', 'MB', 'GB', 'TB']
+  let value = bytes
+  let unit = -1
+  do {
+    value /= 1024
+    unit++
+  } while (value >= 1024 && unit < units.length - 1)
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`
+}
+
+function StorageMeter({ estimate }) {
+  if (!estimate) return <p className="text-xs text-theme-text/50">Storage usage unavailable in this browser.</p>
+  const pct = estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0
+  return (
+    <div className="w-full sm:w-72">
+      <div className="flex justify-between text-xs text-theme-text/60 mb-1">
+        <span>Storage</span>
+        <span>{formatBytes(estimate.usage)} of {formatBytes(estimate.quota)}</span>
+      </div>
+      <div className="h-2 rounded-full bg-theme/10 overflow-hidden">
+        <div className={`h-full ${pct > 85 ? 'bg-amber-400' : 'bg-theme'}`} style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  )
+}
+
+function GenerationCard({ record, onOpen, onRerender, onDelete }) {
+  const thumbUrl = useMemo(() => (record.thumbnail ? URL.createObjectURL(record.thumbnail) : null), [record.thumbnail])
+  useEffect(() => () => thumbUrl && URL.revokeObjectURL(thumbUrl), [thumbUrl])
+
+  const kinds = [record.audioBlob && 'Audio', record.videoBlob && 'Video', record.mergedBlob && 'Merged'].filter(Boolean)
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] overflow-hidden flex flex-col">
+      <button onClick={onOpen} className="block aspect-square max-h-64 w-full bg-theme-background">
+        {thumbUrl && <img src={thumbUrl} alt="" className="h-full w-full object-contain" />}
+      </button>
+      <div className="p-3 flex flex-col gap-2 flex-1">
+        <p className="text-sm font-semibold line-clamp-2" title={record.prompt}>{record.prompt}</p>
+        <p className="text-xs text-theme-text/50">
+          {new Date(record.createdAt).toLocaleString()} · seed {record.seed}
+        </p>
+        <div className="flex flex-wrap gap-1">
+          {kinds.map((k) => (
+            <span key={k} className="rounded px-2 py-0.5 text-[10px] uppercase tracking-wide bg-theme/10 text-theme-text">{k}</span>
+          ))}
+        </div>
+        <div className="mt-auto grid grid-cols-3 gap-2 text-xs">
+          <button onClick={onOpen} className="rounded-md px-2 py-1.5 font-semibold bg-theme hover:bg-theme/80 text-black">Open</button>
+          <button onClick={onRerender} className="rounded-md px-2 py-1.5 border border-theme/30 text-theme-text hover:bg-theme/10">Re-render</button>
+          <button onClick={onDelete} className="rounded-md px-2 py-1.5 border border-red-400/30 text-red-300 hover:bg-red-500/10">Delete</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default function Library() {
+  const [records, setRecords] = useState(null)
+  const [query, setQuery] = useState('')
+  const [estimate, setEstimate] = useState(null)
+  const [error, setError] = useState('')
+  const navigate = useNavigate()
+  const toast = useToast()
+
+  const refresh = async () => {
+    try {
+      setRecords(await listGenerations())
+      setEstimate(await storageEstimate())
+    } catch (e) {
+      console.error(e)
+      setError(`Could not open the library - ${e.message}`)
+      setRecords([])
+    }
+  }
+
+  useEffect(() => {
+    refresh()
+  }, [])
+
+  const filtered = useMemo(() => {
+    const q = query.trim().toLowerCase()
+    if (!records || !q) return records
+    return records.filter((r) => r.prompt.toLowerCase().includes(q) || String(r.seed).includes(q))
+  }, [records, query])
+
+  const remove = async (record) => {
+    if (!confirm(`Delete "${record.prompt}"?`)) return
+    try {
+      await deleteGeneration(record.id)
+    } catch (e) {
+      console.error(e)
+      toast({ title: 'Delete failed', description: e.message, variant: 'error' })
+    }
+    refresh()
+  }
+
+  return (
+    <div className="min-h-screen w-full bg-theme-background text-white">
+      <div className="max-w-6xl mx-auto px-4 py-10">
+        <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4 mb-6">
+          <div>
+            <Link to="/" className="text-sm text-theme hover:text-theme-text">← Back to AuralForge</Link>
+            <h1 className="mt-2 text-3xl font-extrabold tracking-tight" style={{ textShadow: '0 0 24px rgb(var(--theme-primary) / 0.45)' }}>
+              Library
+            </h1>
+          </div>
+          <StorageMeter estimate={estimate} />
+        </div>
+
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search prompts or seeds..."
+          className="w-full mb-6 rounded-xl bg-[#0a0f1a] border border-theme/30 px-4 py-3 outline-none focus:ring-2 ring-theme/60"
+        />
+
+        {error && <p className="mb-4 text-red-400">{error}</p>}
+
+        {filtered === null ? (
+          <p className="text-theme-text/50">Loading…</p>
+        ) : filtered.length === 0 ? (
+          <p className="text-theme-text/50">{query ? 'No generations match your search.' : 'Nothing here yet. Generations are saved automatically.'}</p>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+            {filtered.map((record) => (
+              <GenerationCard
+                key={record.id}
+                record={record}
+                onOpen={() => navigate('/', { state: { openId: record.id } })}
+                onRerender={() => navigate('/', { state: { openId: record.id, rerender: true } })}
+                onDelete={() => remove(record)}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,218 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { audioBufferToChannels, decodeAudioBlob } from '../lib/audioEncode'
+import { dsp } from '../lib/workers'
+import { colorToRgb } from '../lib/palette'
+
+const WAVE_HEIGHT = 72
+const SPEC_HEIGHT = 112
+const MAX_ZOOM = 64
+
+// Dark → the palette colour ([r, g, b]) → white
+function spectrumColor(v, [r, g, b]) {
+  if (v < 0.5) {
+    const t = v / 0.5
+    return [5 + t * (r - 5), 7 + t * (g - 7), 10 + t * (b - 10)]
+  }
+  const t = (v - 0.5) / 0.5
+  return [r + t * (255 - r), g + t * (255 - g), b + t * (255 - b)]
+}
+
+// Render the spectrogram once at its native size (one pixel per column and bin); views
+// then drawImage the visible slice
+function spectrogramImage({ data, columns, bins }, rgb) {
+  const canvas = document.createElement('canvas')
+  canvas.width = columns
+  canvas.height = bins
+  const ctx = canvas.getContext('2d')
+  const img = ctx.createImageData(columns, bins)
+  for (let c = 0; c < columns; c++) {
+    for (let b = 0; b < bins; b++) {
+      const [r, g, bl] = spectrumColor(data[c * bins + b], rgb)
+      const o = ((bins - 1 - b) * columns + c) * 4 // low frequencies at the bottom
+      img.data[o] = r
+      img.data[o + 1] = g
+      img.data[o + 2] = bl
+      img.data[o + 3] = 255
+    }
+  }
+  ctx.putImageData(img, 0, 0)
+  return canvas
+}
+
+function drawWaveform(ctx, mono, sampleRate, start, span, width, height, color) {
+  ctx.clearRect(0, 0, width, height)
+  const mid = height / 2
+  ctx.fillStyle = color
+  ctx.globalAlpha = 0.12
+  ctx.fillRect(0, mid, width, 1)
+  ctx.globalAlpha = 1
+  const from = start * sampleRate
+  const perPx = (span * sampleRate) / width
+  for (let x = 0; x < width; x++) {
+    const i0 = Math.floor(from + x * perPx)
+    const i1 = Math.max(i0 + 1, Math.floor(from + (x + 1) * perPx))
+    let min = 1
+    let max = -1
+    for (let i = i0; i < i1 && i < mono.length; i++) {
+      if (mono[i] < min) min = mono[i]
+      if (mono[i] > max) max = mono[i]
+    }
+    if (max < min) continue
+    ctx.fillRect(x, mid - max * mid, 1, Math.max(1, (max - min) * mid))
+  }
+}
+
+function formatTime(s) {
+  return `${Math.floor(s / 60)}:${(s % 60).toFixed(2).padStart(5, '0')}`
+}
+
+// Size a canvas to its element at device resolution and return a context in CSS pixels
+function prepareCanvas(canvas, width, height) {
+  const dpr = window.devicePixelRatio || 1
+  canvas.width = Math.round(width * dpr)
+  canvas.height = Math.round(height * dpr)
+  const ctx = canvas.getContext('2d')
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+  return ctx
+}
+
+// Waveform overview and spectrogram of an audio (or audio+video) blob, synced to the
+// <audio>/<video> element in mediaRef: the playhead follows playback, clicking seeks,
+// and zooming in scrolls the view along with the playhead. color is the palette colour
+// both are drawn in.
+export default function AudioViewer({ blob, mediaRef, color = '#22d3ee' }) {
+  const [overview, setOverview] = useState(null)
+  const [error, setError] = useState('')
+  const [zoom, setZoom] = useState(1)
+  const [start, setStart] = useState(0)
+  const [time, setTime] = useState(0)
+  const [playing, setPlaying] = useState(false)
+  const [width, setWidth] = useState(0)
+  const containerRef = useRef(null)
+  const waveRef = useRef(null)
+  const specRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setOverview(null)
+    setError('')
+    setZoom(1)
+    setStart(0)
+    ;(async () => {
+      const buffer = await decodeAudioBlob(blob)
+      const channels = audioBufferToChannels(buffer)
+      const { mono, spectrogram } = await dsp('audioOverview', channels, { transfer: channels.channels.map((c) => c.buffer) })
+      if (!cancelled) setOverview({ mono, spectrogram, sampleRate: buffer.sampleRate, duration: buffer.duration })
+    })().catch((e) => {
+      console.error(e)
+      if (!cancelled) setError('Could not decode this audio for display.')
+    })
+    return () => { cancelled = true }
+  }, [blob])
+
+  useEffect(() => {
+    const el = containerRef.current
+    if (!el) return
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.floor(entry.contentRect.width)))
+    observer.observe(el)
+    return () => observer.disconnect()
+  }, [])
+
+  const specImage = useMemo(() => overview && spectrogramImage(overview.spectrogram, colorToRgb(color)), [overview, color])
+  const duration = overview?.duration || 0
+  const span = duration / zoom
+  const maxStart = Math.max(0, duration - span)
+  const viewStart = Math.min(start, maxStart)
+
+  // Follow the media element; while playing, page the view along with the playhead
+  useEffect(() => {
+    const media = mediaRef.current
+    if (!media) return
+    let frame = null
+    const sync = () => setTime(media.currentTime)
+    const loop = () => {
+      sync()
+      frame = requestAnimationFrame(loop)
+    }
+    const play = () => {
+      cancelAnimationFrame(frame)
+      setPlaying(true)
+      loop()
+    }
+    const stop = () => {
+      cancelAnimationFrame(frame)
+      setPlaying(false)
+      sync()
+    }
+    media.addEventListener('play', play)
+    media.addEventListener('pause', stop)
+    media.addEventListener('ended', stop)
+    media.addEventListener('seeked', sync)
+    sync()
+    if (!media.paused) play()
+    return () => {
+      cancelAnimationFrame(frame)
+      media.removeEventListener('play', play)
+      media.removeEventListener('pause', stop)
+      media.removeEventListener('ended', stop)
+      media.removeEventListener('seeked', sync)
+    }
+  }, [mediaRef, blob])
+
+  useEffect(() => {
+    if (playing && zoom > 1 && (time < viewStart || time > viewStart + span)) setStart(Math.min(maxStart, time))
+  }, [playing, time, zoom, viewStart, span, maxStart])
+
+  useEffect(() => {
+    if (!overview || !width) return
+    drawWaveform(prepareCanvas(waveRef.current, width, WAVE_HEIGHT), overview.mono, overview.sampleRate, viewStart, span, width, WAVE_HEIGHT, color)
+    const ctx = prepareCanvas(specRef.current, width, SPEC_HEIGHT)
+    const { hopSeconds, bins } = overview.spectrogram
+    ctx.imageSmoothingEnabled = zoom < 8
+    ctx.drawImage(specImage, viewStart / hopSeconds, 0, span / hopSeconds, bins, 0, 0, width, SPEC_HEIGHT)
+  }, [overview, specImage, width, viewStart, span, zoom, color])
+
+  const seek = (e) => {
+    const media = mediaRef.current
+    if (!media || !duration) return
+    const rect = e.currentTarget.getBoundingClientRect()
+    media.currentTime = Math.min(duration, viewStart + ((e.clientX - rect.left) / rect.width) * span)
+  }
+
+  // Zoom around the playhead when it is in view, else around the view's centre
+  const setZoomAround = (next) => {
+    const z = Math.min(MAX_ZOOM, Math.max(1, next))
+    const anchor = time >= viewStart && time <= viewStart + span ? time : viewStart + span / 2
+    const nextSpan = duration / z
+    setZoom(z)
+    setStart(Math.min(Math.max(0, duration - nextSpan), Math.max(0, anchor - nextSpan / 2)))
+  }
+
+  const playhead = span ? ((time - viewStart) / span) * 100 : 0
+
+  return (
+    <div className="mt-3 text-xs text-theme-text/60">
+      <div ref={containerRef} className="relative cursor-pointer select-none rounded-lg overflow-hidden bg-[#05070a]" onClick={seek}>
+        <canvas ref={waveRef} style={{ width: '100%', height: WAVE_HEIGHT, display: 'block' }} />
+        <canvas ref={specRef} style={{ width: '100%', height: SPEC_HEIGHT, display: 'block' }} />
+        {overview && playhead >= 0 && playhead <= 100 && (
+          <div className="absolute inset-y-0 w-px bg-white/90 shadow-[0_0_6px_rgb(var(--theme-primary))] pointer-events-none" style={{ left: `${playhead}%` }} />
+        )}
+        {!overview && (
+          <div className="absolute inset-0 flex items-center justify-center">{error || 'Analyzing…'}</div>
+        )}
+      </div>
+
+      <div className="mt-2 flex items-center gap-2">
+        <span className="font-mono">{formatTime(time)}</span>
+        <input type="range" min={0} max={maxStart || 0} step={0.01} value={viewStart} disabled={zoom === 1}
+               onChange={(e) => setStart(Number(e.target.value))} className="flex-1 accent-theme" aria-label="Scroll" />
+        <button onClick={() => setZoomAround(zoom / 2)} disabled={zoom === 1}
+                className="w-6 h-6 rounded border border-theme/30 hover:bg-theme/10 disabled:opacity-40" aria-label="Zoom out">−</button>
+        <span className="w-8 text-center font-mono">{zoom}×</span>
+        <button onClick={() => setZoomAround(zoom * 2)} disabled={!overview || zoom === MAX_ZOOM}
+                className="w-6 h-6 rounded border border-theme/30 hover:bg-theme/10 disabled:opacity-40" aria-label="Zoom in">+</button>
+      </div>
+    </div>
+  )
+}
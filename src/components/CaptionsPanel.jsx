@@ -0,0 +1,132 @@
+import { useRef } from 'react'
+import {
+  CAPTION_SIZE, captionAnimations, captionFonts, captionPositions, captionSources,
+  createSegment, parseCaptions, segmentsFromText, toSrt, toVtt,
+} from '../lib/captions'
+import { downloadBlob } from '../lib/export'
+import { useToast } from './Toaster'
+import { fieldClass, linkButton } from './styles'
+
+function Field({ label, children }) {
+  return (
+    <label className="grid gap-1">
+      <span className="text-xs text-theme-text/60">{label}</span>
+      {children}
+    </label>
+  )
+}
+
+function Select({ value, options, onChange, disabled }) {
+  return (
+    <select value={value} disabled={disabled} onChange={(e) => onChange(e.target.value)} className={fieldClass}>
+      {Object.entries(options).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+    </select>
+  )
+}
+
+// Caption text, timing and look. The prompt source shows the whole prompt for the clip's
+// duration; timed captions are edited here or imported from SRT/WebVTT.
+// paletteText is the palette's text colour as #rrggbb, which captions use by default.
+export default function CaptionsPanel({ captions, onChange, prompt, duration, paletteText, disabled }) {
+  const toast = useToast()
+  const inputRef = useRef(null)
+  const set = (key) => (value) => onChange({ ...captions, [key]: value })
+  const { segments } = captions
+  const setSegments = (next) => onChange({ ...captions, source: 'segments', segments: [...next].sort((a, b) => a.start - b.start) })
+  const update = (id, changes) => setSegments(segments.map((s) => (s.id === id ? { ...s, ...changes } : s)))
+
+  const addSegment = () => {
+    const start = Math.min(segments.at(-1)?.end ?? 0, Math.max(0, duration - 1))
+    setSegments([...segments, createSegment(start)])
+  }
+
+  const importFile = async (file) => {
+    const parsed = parseCaptions(await file.text())
+    if (!parsed.length) {
+      toast({ title: `No captions found in ${file.name}`, description: 'Use an SRT or WebVTT file.', variant: 'error' })
+      return
+    }
+    setSegments(parsed)
+  }
+
+  const exportAs = (extension) => {
+    const text = extension === 'vtt' ? toVtt(segments) : toSrt(segments)
+    downloadBlob(new Blob([text], { type: extension === 'vtt' ? 'text/vtt' : 'application/x-subrip' }), `auralforge-captions.${extension}`)
+  }
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-theme-text/80 font-semibold">Captions</h3>
+        <div className="flex gap-3">
+          <button onClick={() => inputRef.current?.click()} disabled={disabled} className={linkButton}>Import SRT/VTT</button>
+          <button onClick={() => exportAs('srt')} disabled={!segments.length} className={linkButton}>Export SRT</button>
+          <button onClick={() => exportAs('vtt')} disabled={!segments.length} className={linkButton}>Export VTT</button>
+          <input ref={inputRef} type="file" accept=".srt,.vtt,text/vtt,application/x-subrip" className="hidden"
+                 onChange={(e) => { if (e.target.files[0]) importFile(e.target.files[0]); e.target.value = '' }} />
+        </div>
+      </div>
+
+      <div className="grid sm:grid-cols-3 gap-3">
+        <Field label="Text">
+          <Select value={captions.source} options={captionSources} onChange={set('source')} disabled={disabled} />
+        </Field>
+        <Field label="Font">
+          <select value={captions.font} disabled={disabled} onChange={(e) => set('font')(e.target.value)} className={fieldClass}>
+            {Object.entries(captionFonts).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </Field>
+        <Field label="Animation">
+          <Select value={captions.animation} options={captionAnimations} onChange={set('animation')} disabled={disabled} />
+        </Field>
+        <Field label="Position">
+          <Select value={captions.position} options={captionPositions} onChange={set('position')} disabled={disabled} />
+        </Field>
+        <Field label={`Size (${captions.size}px)`}>
+          <input type="range" min={CAPTION_SIZE.min} max={CAPTION_SIZE.max} step={1} value={captions.size} disabled={disabled}
+                 onChange={(e) => set('size')(Number(e.target.value))} className="w-full accent-theme" />
+        </Field>
+        <Field label="Color">
+          <div className="flex items-center gap-2">
+            <input type="color" value={captions.color ?? paletteText} disabled={disabled} onChange={(e) => set('color')(e.target.value)}
+                   className="h-8 w-full rounded-md bg-[#0a0f1a] border border-theme/30" />
+            <label className="flex items-center gap-1 text-xs text-theme-text/70" title="Use the palette's text colour">
+              <input type="checkbox" checked={captions.color === null} disabled={disabled}
+                     onChange={(e) => set('color')(e.target.checked ? null : paletteText)} className="accent-theme" />
+              Palette
+            </label>
+          </div>
+        </Field>
+      </div>
+
+      {captions.source === 'segments' && (
+        <div className="mt-4">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-xs text-theme-text/60">Timed captions (seconds)</span>
+            <div className="flex gap-3">
+              <button onClick={() => setSegments(segmentsFromText(prompt, duration))} disabled={disabled || !prompt.trim()} className={linkButton}>
+                From prompt
+              </button>
+              <button onClick={addSegment} disabled={disabled} className={linkButton}>Add caption</button>
+            </div>
+          </div>
+          {!segments.length && <p className="text-xs text-theme-text/50">No captions yet. Add one, split the prompt or import a file.</p>}
+          <ol className="grid gap-2">
+            {segments.map((s) => (
+              <li key={s.id} className="grid grid-cols-[4.5rem_4.5rem_1fr_auto] items-center gap-2">
+                <input type="number" min={0} step={0.1} value={s.start} disabled={disabled} aria-label="Start"
+                       onChange={(e) => update(s.id, { start: Math.max(0, Number(e.target.value)) })} className={fieldClass} />
+                <input type="number" min={0} step={0.1} value={s.end} disabled={disabled} aria-label="End"
+                       onChange={(e) => update(s.id, { end: Math.max(0, Number(e.target.value)) })} className={fieldClass} />
+                <input type="text" value={s.text} disabled={disabled} aria-label="Text" placeholder="Caption text"
+                       onChange={(e) => update(s.id, { text: e.target.value })} className={fieldClass} />
+                <button onClick={() => setSegments(segments.filter((x) => x.id !== s.id))} disabled={disabled} aria-label="Remove"
+                        className="w-6 h-6 rounded border border-theme/30 hover:bg-theme/10 disabled:opacity-30">×</button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  )
+}
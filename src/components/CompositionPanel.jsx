@@ -0,0 +1,75 @@
+import { COMPOSITION_LIMITS, KEYS, arpPatterns, compositionDuration, drumPatterns, progressions, scales } from '../lib/composition'
+import { fieldClass } from './styles'
+
+function Field({ label, children }) {
+  return (
+    <label className="grid gap-1">
+      <span className="text-xs text-theme-text/60">{label}</span>
+      {children}
+    </label>
+  )
+}
+
+function Toggle({ label, checked, onChange, disabled }) {
+  return (
+    <label className="flex items-center gap-2 text-theme-text/80">
+      <input type="checkbox" checked={checked} disabled={disabled} onChange={(e) => onChange(e.target.checked)} className="accent-theme" />
+      {label}
+    </label>
+  )
+}
+
+export default function CompositionPanel({ composition, onChange, disabled }) {
+  const set = (key) => (value) => onChange({ ...composition, [key]: value })
+  const off = disabled || !composition.enabled
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-theme-text/80 font-semibold">Composition</h3>
+        <Toggle label="Compose music" checked={composition.enabled} onChange={set('enabled')} disabled={disabled} />
+      </div>
+
+      <div className={`grid grid-cols-2 sm:grid-cols-4 gap-3 ${composition.enabled ? '' : 'opacity-50'}`}>
+        <Field label="Key">
+          <select value={composition.key} disabled={off} onChange={(e) => set('key')(e.target.value)} className={fieldClass}>
+            {KEYS.map((k) => <option key={k} value={k}>{k}</option>)}
+          </select>
+        </Field>
+        <Field label="Scale">
+          <select value={composition.scale} disabled={off} onChange={(e) => set('scale')(e.target.value)} className={fieldClass}>
+            {Object.entries(scales).map(([id, s]) => <option key={id} value={id}>{s.label}</option>)}
+          </select>
+        </Field>
+        <Field label="Progression">
+          <select value={composition.progression} disabled={off} onChange={(e) => set('progression')(e.target.value)} className={fieldClass}>
+            {Object.keys(progressions).map((p) => <option key={p} value={p}>{p}</option>)}
+          </select>
+        </Field>
+        <Field label={`Tempo (${composition.tempo} BPM)`}>
+          <input type="range" min={COMPOSITION_LIMITS.tempo.min} max={COMPOSITION_LIMITS.tempo.max} step={1} value={composition.tempo} disabled={off}
+                 onChange={(e) => set('tempo')(Number(e.target.value))} className="w-full accent-theme" />
+        </Field>
+        <Field label={`Length (${composition.bars} bars ≈ ${compositionDuration(composition)} s)`}>
+          <input type="range" min={COMPOSITION_LIMITS.bars.min} max={COMPOSITION_LIMITS.bars.max} step={1} value={composition.bars} disabled={off}
+                 onChange={(e) => set('bars')(Number(e.target.value))} className="w-full accent-theme" />
+        </Field>
+        <Field label="Arpeggio">
+          <select value={composition.arpPattern} disabled={off || !composition.arp} onChange={(e) => set('arpPattern')(e.target.value)} className={fieldClass}>
+            {arpPatterns.map((p) => <option key={p} value={p}>{p}</option>)}
+          </select>
+        </Field>
+        <Field label="Drum pattern">
+          <select value={composition.drumPattern} disabled={off || !composition.drums} onChange={(e) => set('drumPattern')(e.target.value)} className={fieldClass}>
+            {Object.entries(drumPatterns).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+          </select>
+        </Field>
+        <div className="grid gap-1 content-end">
+          <Toggle label="Melody" checked={composition.melody} onChange={set('melody')} disabled={off} />
+          <Toggle label="Arpeggio" checked={composition.arp} onChange={set('arp')} disabled={off} />
+          <Toggle label="Drums" checked={composition.drums} onChange={set('drums')} disabled={off} />
+        </div>
+      </div>
+    </div>
+  )
+}
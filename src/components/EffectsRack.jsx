@@ -0,0 +1,152 @@
+import { useEffect, useState } from 'react'
+import { builtinRackPresets, createEffect, effectTypes, normalizeRack } from '../lib/effects'
+import { deleteRackPreset, listRackPresets, saveRackPreset } from '../lib/library'
+import { useToast } from './Toaster'
+import { fieldClass, smallButton } from './styles'
+
+function EffectParams({ fx, onChange, disabled }) {
+  return (
+    <div className="grid gap-2 mt-2">
+      {Object.entries(effectTypes[fx.type].params).map(([key, def]) => (
+        <div key={key} className="grid grid-cols-[7.5rem_1fr] items-center gap-2">
+          <label htmlFor={`${fx.id}-${key}`} className="text-theme-text/60">{def.label}</label>
+          <div className="flex items-center gap-2">
+            <input id={`${fx.id}-${key}`} type="range" min={def.min} max={def.max} step={def.step}
+                   value={fx.params[key]} disabled={disabled}
+                   onChange={(e) => onChange({ ...fx, params: { ...fx.params, [key]: Number(e.target.value) } })}
+                   className="w-full accent-theme" />
+            <span className="w-16 text-right font-mono text-xs text-theme-text/70">{fx.params[key]}{def.unit ? ` ${def.unit}` : ''}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Ordered, bypassable effects applied to the audio before the master fades, with built-in
+// and saved presets
+export default function EffectsRack({ rack, onChange, disabled }) {
+  const toast = useToast()
+  const [userPresets, setUserPresets] = useState([])
+  const [presetId, setPresetId] = useState('')
+  const [presetName, setPresetName] = useState('')
+  const [addType, setAddType] = useState('reverb')
+
+  useEffect(() => {
+    listRackPresets().then(setUserPresets, (e) => console.error('Could not load rack presets', e))
+  }, [])
+
+  const presets = [...builtinRackPresets, ...userPresets]
+  const selected = presets.find((p) => p.id === presetId)
+
+  const update = (i, fx) => onChange(rack.map((f, j) => (j === i ? fx : f)))
+  const remove = (i) => onChange(rack.filter((_, j) => j !== i))
+  const move = (i, delta) => {
+    const next = [...rack]
+    const [fx] = next.splice(i, 1)
+    next.splice(i + delta, 0, fx)
+    onChange(next)
+  }
+
+  const loadPreset = () => {
+    if (selected) onChange(normalizeRack(selected.rack).map((fx) => ({ ...createEffect(fx.type), bypass: fx.bypass, params: fx.params })))
+  }
+
+  const savePreset = async () => {
+    try {
+      const record = await saveRackPreset(presetName.trim(), rack)
+      setUserPresets((list) => [...list, record])
+      setPresetId(record.id)
+      setPresetName('')
+      toast({ title: 'Preset saved', description: record.name, variant: 'success' })
+    } catch (e) {
+      console.error(e)
+      toast({ title: 'Could not save preset', description: e.message, variant: 'error' })
+    }
+  }
+
+  const removePreset = async () => {
+    try {
+      await deleteRackPreset(presetId)
+      setUserPresets((list) => list.filter((p) => p.id !== presetId))
+      setPresetId('')
+    } catch (e) {
+      console.error(e)
+      toast({ title: 'Could not delete preset', description: e.message, variant: 'error' })
+    }
+  }
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-theme-text/80 font-semibold">Effects</h3>
+        <button onClick={() => onChange([])} disabled={disabled || !rack.length}
+                className="text-xs text-theme hover:text-theme-text disabled:opacity-30">
+          Clear
+        </button>
+      </div>
+
+      <div className="grid grid-cols-[1fr_auto_auto] gap-2 mb-3">
+        <select value={presetId} disabled={disabled} onChange={(e) => setPresetId(e.target.value)} className={fieldClass} aria-label="Preset">
+          <option value="">Choose a preset…</option>
+          <optgroup label="Built-in">
+            {builtinRackPresets.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </optgroup>
+          {userPresets.length > 0 && (
+            <optgroup label="Saved">
+              {userPresets.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </optgroup>
+          )}
+        </select>
+        <button onClick={loadPreset} disabled={disabled || !selected}
+                className="rounded-md px-3 py-1 border border-theme/30 hover:bg-theme/10 disabled:opacity-30">
+          Load
+        </button>
+        <button onClick={removePreset} disabled={disabled || !selected || selected.builtin}
+                className="rounded-md px-3 py-1 border border-red-400/30 text-red-300 hover:bg-red-500/10 disabled:opacity-30">
+          Delete
+        </button>
+      </div>
+
+      {rack.length === 0 && <p className="mb-3 text-xs text-theme-text/50">No effects; the mix goes straight to the master.</p>}
+
+      <ol className="grid gap-2 mb-3">
+        {rack.map((fx, i) => (
+          <li key={fx.id} className={`rounded-lg border border-theme/15 p-3 ${fx.bypass ? 'opacity-50' : ''}`}>
+            <div className="flex items-center gap-2">
+              <span className="font-semibold text-theme-text/80 flex-1">{i + 1}. {effectTypes[fx.type].label}</span>
+              <label className="flex items-center gap-1 text-xs text-theme-text/70">
+                <input type="checkbox" checked={fx.bypass} disabled={disabled}
+                       onChange={(e) => update(i, { ...fx, bypass: e.target.checked })} className="accent-theme" />
+                Bypass
+              </label>
+              <button onClick={() => move(i, -1)} disabled={disabled || i === 0} className={smallButton} aria-label="Move up">↑</button>
+              <button onClick={() => move(i, 1)} disabled={disabled || i === rack.length - 1} className={smallButton} aria-label="Move down">↓</button>
+              <button onClick={() => remove(i)} disabled={disabled} className={smallButton} aria-label="Remove">×</button>
+            </div>
+            <EffectParams fx={fx} onChange={(next) => update(i, next)} disabled={disabled || fx.bypass} />
+          </li>
+        ))}
+      </ol>
+
+      <div className="grid grid-cols-[1fr_auto] gap-2 mb-2">
+        <select value={addType} disabled={disabled} onChange={(e) => setAddType(e.target.value)} className={fieldClass} aria-label="Effect type">
+          {Object.entries(effectTypes).map(([type, def]) => <option key={type} value={type}>{def.label}</option>)}
+        </select>
+        <button onClick={() => onChange([...rack, createEffect(addType)])} disabled={disabled}
+                className="rounded-md px-3 py-1 border border-theme/30 hover:bg-theme/10 disabled:opacity-30">
+          Add effect
+        </button>
+      </div>
+
+      <div className="grid grid-cols-[1fr_auto] gap-2">
+        <input value={presetName} disabled={disabled} onChange={(e) => setPresetName(e.target.value)}
+               placeholder="Preset name" className={fieldClass} aria-label="Preset name" />
+        <button onClick={savePreset} disabled={disabled || !rack.length || !presetName.trim()}
+                className="rounded-md px-3 py-1 border border-theme/30 hover:bg-theme/10 disabled:opacity-30">
+          Save preset
+        </button>
+      </div>
+    </div>
+  )
+}
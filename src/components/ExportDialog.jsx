@@ -0,0 +1,165 @@
+import { useEffect, useRef, useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { downloadBlob, exportClip, exportFormats, qualityPresets, wavBitDepths } from '../lib/export'
+import { isAbortError, throttleProgress } from '../lib/progress'
+import { describeLimits, detectCapabilities } from '../lib/capabilities'
+import { buildManifest, manifestBlob, manifestFileName } from '../lib/manifest'
+import GenerationProgress from './GenerationProgress'
+import { useToast } from './Toaster'
+import { inputClass } from './styles'
+
+const fieldClass = `w-full ${inputClass}`
+
+// provenance = { generator, media } describes how the clip was made, for the optional
+// manifest sidecar (see manifest.js)
+export default function ExportDialog({ clip, provenance, disabled }) {
+  const [open, setOpen] = useState(false)
+  const [format, setFormat] = useState('webm')
+  const [quality, setQuality] = useState('medium')
+  const [videoKbps, setVideoKbps] = useState('')
+  const [audioKbps, setAudioKbps] = useState('')
+  const [bitDepth, setBitDepth] = useState('24')
+  const [withManifest, setWithManifest] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState('')
+  const [limits, setLimits] = useState(null)
+  const abortRef = useRef(null)
+  const toast = useToast()
+
+  useEffect(() => {
+    detectCapabilities().then((caps) => setLimits(describeLimits(caps)), () => {})
+  }, [])
+
+  const spec = exportFormats[format]
+  const preset = qualityPresets[quality]
+  const needsAudio = spec.kind === 'audio' && !clip.audioBlob
+  const unsupported = limits?.exports[format](!!clip.audioBlob)
+
+  const runExport = async () => {
+    const controller = new AbortController()
+    abortRef.current = controller
+    const startedAt = Date.now()
+    try {
+      setBusy(true)
+      setError('')
+      setProgress({ phase: 'Starting', progress: null, startedAt })
+      const { blob, fileName, baseName, encoding } = await exportClip(format, clip, {
+        quality,
+        videoBitrate: videoKbps ? Number(videoKbps) * 1000 : undefined,
+        audioBitrate: audioKbps ? Number(audioKbps) * 1000 : undefined,
+        bitDepth: Number(bitDepth),
+        signal: controller.signal,
+        onProgress: throttleProgress((event) => setProgress({ ...event, startedAt })),
+      })
+      downloadBlob(blob, fileName)
+      if (withManifest) {
+        const manifest = buildManifest(provenance.generator, { fileName, format, blob, encoding, startedAt: new Date(startedAt), finishedAt: new Date() }, provenance.media)
+        downloadBlob(manifestBlob(manifest), manifestFileName(baseName))
+      }
+      setOpen(false)
+      toast({ title: 'Export finished', description: withManifest ? `${fileName} with ${manifestFileName(baseName)}` : fileName, variant: 'success' })
+    } catch (e) {
+      if (!isAbortError(e)) {
+        console.error(e)
+        setError(e.message || 'Export failed. Please try again.')
+      }
+    } finally {
+      abortRef.current = null
+      setBusy(false)
+      setProgress(null)
+    }
+  }
+
+  return (
+    <Dialog.Root open={open} onOpenChange={(next) => !busy && setOpen(next)}>
+      <Dialog.Trigger asChild>
+        <button disabled={disabled}
+                className="rounded-lg px-4 py-3 font-semibold transition border border-theme/40 text-theme-text hover:bg-theme/10 disabled:opacity-40">
+          Export…
+        </button>
+      </Dialog.Trigger>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 bg-black/60 backdrop-blur-sm animate-fade-in" />
+        <Dialog.Content className="fixed left-1/2 top-1/2 w-[92vw] max-w-md -translate-x-1/2 -translate-y-1/2 rounded-2xl border border-theme/20 bg-[#0b1220] p-6 text-white shadow-[0_0_40px_rgb(var(--theme-primary)/0.15)]">
+          <Dialog.Title className="text-lg font-bold">Export</Dialog.Title>
+          <Dialog.Description className="mt-1 text-sm text-theme-text/60">
+            Video formats re-render the clip{clip.audioBlob ? ' with your audio' : ''}; audio formats encode the current audio.
+          </Dialog.Description>
+
+          <div className="mt-5 grid gap-4 text-sm">
+            <label className="grid gap-1">
+              <span className="text-theme-text/80 font-semibold">Format</span>
+              <select value={format} onChange={(e) => setFormat(e.target.value)} className={fieldClass}>
+                {Object.entries(exportFormats).map(([id, f]) => (
+                  <option key={id} value={id}>{f.label}{limits?.exports[id](!!clip.audioBlob) ? ' (unsupported)' : ''}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="grid gap-1">
+              <span className="text-theme-text/80 font-semibold">Quality</span>
+              <select value={quality} onChange={(e) => setQuality(e.target.value)} className={fieldClass}>
+                {Object.entries(qualityPresets).map(([id, q]) => (
+                  <option key={id} value={id}>{q.label}</option>
+                ))}
+              </select>
+            </label>
+
+            {spec.options.includes('videoBitrate') && (
+              <label className="grid gap-1">
+                <span className="text-theme-text/80 font-semibold">Video bitrate (kbps)</span>
+                <input type="number" min={100} value={videoKbps} placeholder={String(preset.videoBitrate / 1000)}
+                       onChange={(e) => setVideoKbps(e.target.value)} className={fieldClass} />
+              </label>
+            )}
+
+            {spec.options.includes('audioBitrate') && (
+              <label className="grid gap-1">
+                <span className="text-theme-text/80 font-semibold">Audio bitrate (kbps)</span>
+                <input type="number" min={16} value={audioKbps} placeholder={String(preset.audioBitrate / 1000)}
+                       onChange={(e) => setAudioKbps(e.target.value)} className={fieldClass} />
+              </label>
+            )}
+
+            {spec.options.includes('bitDepth') && (
+              <label className="grid gap-1">
+                <span className="text-theme-text/80 font-semibold">Sample format</span>
+                <select value={bitDepth} onChange={(e) => setBitDepth(e.target.value)} className={fieldClass}>
+                  {Object.entries(wavBitDepths).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+              </label>
+            )}
+
+            <label className="flex items-center gap-2 text-theme-text/80">
+              <input type="checkbox" checked={withManifest} onChange={(e) => setWithManifest(e.target.checked)} className="accent-theme" />
+              Include a provenance manifest (.manifest.json)
+            </label>
+
+            {unsupported && <p className="text-amber-300/80">{unsupported}</p>}
+            {needsAudio && <p className="text-amber-300/80">Generate or import audio first to export {spec.label}.</p>}
+            {error && <p className="text-red-400">{error}</p>}
+          </div>
+
+          {progress && (
+            <div className="mt-5">
+              <GenerationProgress progress={progress} onCancel={() => abortRef.current?.abort()} />
+            </div>
+          )}
+
+          <div className="mt-6 flex justify-end gap-3">
+            <Dialog.Close asChild>
+              <button disabled={busy} className="rounded-lg px-4 py-2 border border-theme/30 text-theme-text hover:bg-theme/10 transition disabled:opacity-40">
+                Close
+              </button>
+            </Dialog.Close>
+            <button onClick={runExport} disabled={busy || needsAudio || !!unsupported}
+                    className={`rounded-lg px-4 py-2 font-semibold transition text-black ${busy || needsAudio || unsupported ? 'bg-theme/30' : 'bg-theme hover:bg-theme/80'}`}>
+              {busy ? 'Exporting…' : `Export .${spec.ext}`}
+            </button>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react'
+
+function formatElapsed(ms) {
+  const s = Math.floor(ms / 1000)
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`
+}
+
+// Progress of a running job: { phase, progress (0..1 or null), frames?, totalFrames?, startedAt }
+export default function GenerationProgress({ progress, onCancel }) {
+  const [now, setNow] = useState(Date.now())
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 500)
+    return () => clearInterval(timer)
+  }, [])
+
+  const pct = progress.progress == null ? null : Math.round(progress.progress * 100)
+
+  return (
+    <div className="mx-auto w-full max-w-md rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm" role="status" aria-live="polite">
+      <div className="flex items-center justify-between gap-3 mb-2">
+        <span className="text-theme-text/80">{progress.phase}…</span>
+        <span className="font-mono text-theme-text/60">
+          {pct != null && `${pct}% · `}{formatElapsed(now - progress.startedAt)}
+        </span>
+      </div>
+      <div className="h-2 rounded-full bg-theme/10 overflow-hidden">
+        {pct == null ? (
+          <div className="h-full w-1/3 bg-theme/60 animate-pulse" />
+        ) : (
+          <div className="h-full bg-theme transition-[width]" style={{ width: `${pct}%` }} />
+        )}
+      </div>
+      <div className="mt-3 flex items-center justify-between">
+        <span className="text-xs text-theme-text/50">
+          {progress.totalFrames ? `${progress.frames ?? 0} / ${progress.totalFrames} frames` : ''}
+        </span>
+        <button onClick={onCancel} className="rounded-md px-3 py-1.5 border border-red-400/30 text-red-300 hover:bg-red-500/10">
+          Cancel
+        </button>
+      </div>
+    </div>
+  )
+}
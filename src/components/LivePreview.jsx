@@ -0,0 +1,78 @@
+import { useEffect, useRef, useState } from 'react'
+import { startLivePreview } from '../lib/livePreview'
+import { useToast } from './Toaster'
+
+// Typing in the prompt restarts the preview; wait for a pause first
+const RESTART_DELAY = 250
+
+// Live mode: the synth drone plays while the sound parameters are edited and follows every
+// change (see livePreview.js). Render hands the exact current settings to the offline
+// renderer. The preview pauses while a job runs.
+export default function LivePreview({ prompt, seed, params, effects, onRender, disabled, renderDisabled }) {
+  const toast = useToast()
+  const [live, setLive] = useState(false)
+  const [playing, setPlaying] = useState(false)
+  const previewRef = useRef(null)
+  const paramsRef = useRef(params)
+  paramsRef.current = params
+  const active = live && !disabled
+  const effectsKey = JSON.stringify(effects)
+
+  // Start when switched on, and again when the noise, reverb or rack have to be rebuilt
+  useEffect(() => {
+    if (!active) return
+    let cancelled = false
+    const timer = setTimeout(() => {
+      startLivePreview({ prompt, seed, params: paramsRef.current, effects }).then((preview) => {
+        if (cancelled) return preview.stop()
+        preview.update(paramsRef.current) // knobs may have moved while it started
+        previewRef.current = preview
+        setPlaying(true)
+      }, (e) => {
+        if (cancelled) return
+        console.error(e)
+        setLive(false)
+        toast({ title: 'Live preview failed', description: e.message, variant: 'error' })
+      })
+    }, RESTART_DELAY)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+      previewRef.current?.stop()
+      previewRef.current = null
+      setPlaying(false)
+    }
+  }, [active, prompt, seed, effectsKey])
+
+  useEffect(() => {
+    previewRef.current?.update(params)
+  }, [params])
+
+  const render = () => {
+    setLive(false)
+    onRender()
+  }
+
+  const status = !live
+    ? 'Hear the drone while you turn the knobs. Composition and mastering are added on Render.'
+    : disabled ? 'Paused while a job runs.' : playing ? 'Playing: changes are heard at once.' : 'Starting…'
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="text-theme-text/80 font-semibold">Live preview</h3>
+        <div className="flex gap-2">
+          <button onClick={() => setLive((on) => !on)} disabled={disabled} aria-pressed={live}
+                  className={`rounded-lg px-3 py-1.5 font-semibold border border-theme/40 text-theme-text hover:bg-theme/10 disabled:opacity-40 ${live ? 'bg-theme/20' : ''}`}>
+            {live ? 'Stop' : 'Go live'}
+          </button>
+          <button onClick={render} disabled={disabled || !!renderDisabled} title={renderDisabled || undefined}
+                  className="rounded-lg px-3 py-1.5 font-semibold bg-theme hover:bg-theme/80 text-black disabled:opacity-40">
+            Render
+          </button>
+        </div>
+      </div>
+      <p className="mt-2 text-xs text-theme-text/50">{status}</p>
+    </div>
+  )
+}
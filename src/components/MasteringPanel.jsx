@@ -0,0 +1,58 @@
+import { MASTERING_LIMITS, loudnessTargets } from '../lib/mastering'
+
+function Field({ label, children }) {
+  return (
+    <label className="grid gap-1">
+      <span className="text-xs text-theme-text/60">{label}</span>
+      {children}
+    </label>
+  )
+}
+
+const formatDb = (v, unit) => (Number.isFinite(v) ? `${v.toFixed(1)} ${unit}` : `−∞ ${unit}`)
+
+// Loudness normalisation and true-peak limiting for generated audio. loudness is the
+// measurement of the current audio ({ integrated, truePeak }), null while measuring.
+export default function MasteringPanel({ mastering, onChange, loudness, hasAudio, disabled }) {
+  const set = (key) => (value) => onChange({ ...mastering, [key]: value })
+  const off = disabled || !mastering.enabled
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-theme-text/80 font-semibold">Mastering</h3>
+        <label className="flex items-center gap-2 text-theme-text/80">
+          <input type="checkbox" checked={mastering.enabled} disabled={disabled} onChange={(e) => set('enabled')(e.target.checked)} className="accent-theme" />
+          Normalize loudness
+        </label>
+      </div>
+
+      <div className={`grid sm:grid-cols-2 gap-3 ${mastering.enabled ? '' : 'opacity-50'}`}>
+        <Field label={`Target (${mastering.targetLufs} LUFS integrated)`}>
+          <input type="range" min={MASTERING_LIMITS.targetLufs.min} max={MASTERING_LIMITS.targetLufs.max} step={0.5}
+                 value={mastering.targetLufs} disabled={off}
+                 onChange={(e) => set('targetLufs')(Number(e.target.value))} className="w-full accent-theme" />
+          <div className="flex flex-wrap gap-1">
+            {Object.entries(loudnessTargets).map(([value, label]) => (
+              <button key={value} type="button" disabled={off} onClick={() => set('targetLufs')(Number(value))}
+                      className={`rounded px-2 py-0.5 text-xs border ${Number(value) === mastering.targetLufs ? 'border-theme-text text-theme-text' : 'border-theme/30 text-theme-text/60'} hover:bg-theme/10 disabled:opacity-40`}>
+                {label}
+              </button>
+            ))}
+          </div>
+        </Field>
+        <Field label={`True-peak ceiling (${mastering.ceiling.toFixed(1)} dBTP)`}>
+          <input type="range" min={MASTERING_LIMITS.ceiling.min} max={MASTERING_LIMITS.ceiling.max} step={0.1}
+                 value={mastering.ceiling} disabled={off}
+                 onChange={(e) => set('ceiling')(Number(e.target.value))} className="w-full accent-theme" />
+        </Field>
+      </div>
+
+      {hasAudio && (
+        <p className="mt-3 text-xs text-theme-text/60 font-mono">
+          Current audio: {loudness ? `${formatDb(loudness.integrated, 'LUFS')} · ${formatDb(loudness.truePeak, 'dBTP')} true peak` : 'measuring…'}
+        </p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,95 @@
+import { useRef, useState } from 'react'
+import { createLayer, layerFits, mediaKind } from '../lib/layers'
+import { useToast } from './Toaster'
+import { fieldClass, smallButton } from './styles'
+
+// Drag-and-drop (or browse) import of the user's own media. Audio replaces the current
+// audio and gets procedural visuals on Merge; images and video clips become layers under
+// the visual style, listed bottom first.
+export default function MediaImport({ layers, onLayersChange, importedAudio, onImportAudio, disabled }) {
+  const toast = useToast()
+  const [dragging, setDragging] = useState(false)
+  const inputRef = useRef(null)
+
+  const importFiles = (files) => {
+    if (disabled) return
+    const added = []
+    let audio = null
+    for (const file of files) {
+      const kind = mediaKind(file.type)
+      if (kind === 'audio') audio = file
+      else if (kind) added.push(createLayer(file, layers.length + added.length))
+      else toast({ title: `Cannot import ${file.name}`, description: 'Use an audio, image or video file.', variant: 'error' })
+    }
+    if (added.length) onLayersChange([...layers, ...added])
+    if (audio) onImportAudio(audio)
+  }
+
+  const update = (i, changes) => onLayersChange(layers.map((l, j) => (j === i ? { ...l, ...changes } : l)))
+  const move = (i, delta) => {
+    const next = [...layers]
+    const [layer] = next.splice(i, 1)
+    next.splice(i + delta, 0, layer)
+    onLayersChange(next)
+  }
+
+  const onDrop = (e) => {
+    e.preventDefault()
+    setDragging(false)
+    importFiles([...e.dataTransfer.files])
+  }
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-theme-text/80 font-semibold">Your media</h3>
+        <button onClick={() => onLayersChange([])} disabled={disabled || !layers.length}
+                className="text-xs text-theme hover:text-theme-text disabled:opacity-30">
+          Remove layers
+        </button>
+      </div>
+
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragging(true) }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+        onClick={() => !disabled && inputRef.current?.click()}
+        className={`rounded-lg border border-dashed px-4 py-6 text-center cursor-pointer transition ${
+          dragging ? 'border-theme-text bg-theme/10' : 'border-theme/30 hover:bg-theme/5'
+        } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+      >
+        <p className="text-theme-text/80">Drop audio, images or video here, or click to browse</p>
+        <p className="mt-1 text-xs text-theme-text/50">Audio gets procedural visuals on Merge; images and video play under the visuals.</p>
+        <input ref={inputRef} type="file" multiple accept="audio/*,image/*,video/*" className="hidden"
+               onChange={(e) => { importFiles([...e.target.files]); e.target.value = '' }} />
+      </div>
+
+      {importedAudio && <p className="mt-3 text-xs text-theme-text/60">Using imported audio: {importedAudio}</p>}
+
+      {layers.length > 0 && <p className="mt-3 text-xs text-theme-text/50">Layers are drawn in list order, so the first one is the background.</p>}
+      {layers.length > 0 && (
+        <ol className="grid gap-2 mt-2">
+          {layers.map((layer, i) => (
+            <li key={layer.id} className="rounded-lg border border-theme/15 p-3">
+              <div className="flex items-center gap-2">
+                <span className="rounded px-1.5 py-0.5 text-[10px] uppercase tracking-wide bg-theme/10 text-theme-text">{layer.kind}</span>
+                <span className="flex-1 truncate text-theme-text/80" title={layer.name}>{layer.name}</span>
+                <button onClick={() => move(i, -1)} disabled={disabled || i === 0} className={smallButton} aria-label="Move up">↑</button>
+                <button onClick={() => move(i, 1)} disabled={disabled || i === layers.length - 1} className={smallButton} aria-label="Move down">↓</button>
+                <button onClick={() => onLayersChange(layers.filter((_, j) => j !== i))} disabled={disabled} className={smallButton} aria-label="Remove">×</button>
+              </div>
+              <div className="mt-2 grid grid-cols-[8rem_1fr_auto] items-center gap-2">
+                <select value={layer.fit} disabled={disabled} onChange={(e) => update(i, { fit: e.target.value })} className={fieldClass} aria-label="Fit">
+                  {Object.entries(layerFits).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+                <input type="range" min={0} max={1} step={0.05} value={layer.opacity} disabled={disabled}
+                       onChange={(e) => update(i, { opacity: Number(e.target.value) })} className="w-full accent-theme" aria-label="Opacity" />
+                <span className="w-10 text-right font-mono text-xs text-theme-text/70">{Math.round(layer.opacity * 100)}%</span>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,102 @@
+import { customFromScheme, palettePresets, paletteSources } from '../lib/palette'
+import { fieldClass } from './styles'
+
+const colorClass = 'h-8 w-full rounded-md bg-[#0a0f1a] border border-theme/30'
+
+const sourceNotes = {
+  prompt: 'Keywords pick the harmony and tone; the palette hue sets the main color.',
+  custom: 'Pick each color below.',
+  classic: 'One blue-cyan color from the prompt or the palette hue, as before palettes.',
+}
+
+function Field({ label, children }) {
+  return (
+    <label className="grid gap-1">
+      <span className="text-xs text-theme-text/60">{label}</span>
+      {children}
+    </label>
+  )
+}
+
+function Swatches({ scheme }) {
+  const colors = [scheme.background[0], scheme.background[1], scheme.primary, scheme.accent, scheme.text]
+  return (
+    <div className="flex h-6 overflow-hidden rounded-md border border-theme/20">
+      {colors.map((color, i) => <span key={i} className="flex-1" style={{ background: color }} />)}
+    </div>
+  )
+}
+
+// Colour scheme of the video and the app: from the prompt, a preset or picked by hand
+// (see palette.js). scheme is the resolved scheme of the current settings.
+export default function PalettePanel({ palette, onChange, scheme, disabled }) {
+  const set = (key) => (value) => onChange({ ...palette, [key]: value })
+  const setCustom = (key) => (value) => onChange({ ...palette, custom: { ...palette.custom, [key]: value } })
+  const setBackground = (i) => (value) => setCustom('background')(palette.custom.background.map((c, j) => (j === i ? value : c)))
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-theme-text/80 font-semibold">Palette</h3>
+        {palette.source !== 'custom' && (
+          <button onClick={() => onChange({ ...palette, source: 'custom', custom: customFromScheme(scheme) })} disabled={disabled}
+                  className="text-xs text-theme hover:text-theme-text disabled:opacity-30">
+            Customize
+          </button>
+        )}
+      </div>
+
+      <div className="grid sm:grid-cols-[12rem_12rem_1fr] items-end gap-3">
+        <Field label="Colors">
+          <select value={palette.source} disabled={disabled} onChange={(e) => set('source')(e.target.value)} className={fieldClass}>
+            {Object.entries(paletteSources).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </Field>
+        {palette.source === 'preset' ? (
+          <Field label="Preset">
+            <select value={palette.preset} disabled={disabled} onChange={(e) => set('preset')(e.target.value)} className={fieldClass}>
+              {Object.entries(palettePresets).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </Field>
+        ) : (
+          <p className="text-xs text-theme-text/50">
+            {sourceNotes[palette.source]}
+          </p>
+        )}
+        <Swatches scheme={scheme} />
+      </div>
+
+      {palette.source === 'preset' && (
+        <div className="mt-3 grid grid-cols-4 sm:grid-cols-8 gap-2">
+          {Object.entries(palettePresets).map(([id, preset]) => (
+            <button key={id} onClick={() => set('preset')(id)} disabled={disabled} title={preset.label}
+                    className={`rounded-md p-1 border ${palette.preset === id ? 'border-theme-text' : 'border-transparent hover:border-theme/40'}`}>
+              <Swatches scheme={preset.scheme} />
+              <span className="mt-1 block truncate text-[10px] text-theme-text/60">{preset.label}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {palette.source === 'custom' && (
+        <div className="mt-3 grid grid-cols-2 sm:grid-cols-5 gap-3">
+          <Field label="Primary">
+            <input type="color" value={palette.custom.primary} disabled={disabled} onChange={(e) => setCustom('primary')(e.target.value)} className={colorClass} />
+          </Field>
+          <Field label="Accent">
+            <input type="color" value={palette.custom.accent} disabled={disabled} onChange={(e) => setCustom('accent')(e.target.value)} className={colorClass} />
+          </Field>
+          <Field label="Background top">
+            <input type="color" value={palette.custom.background[0]} disabled={disabled} onChange={(e) => setBackground(0)(e.target.value)} className={colorClass} />
+          </Field>
+          <Field label="Background bottom">
+            <input type="color" value={palette.custom.background[1]} disabled={disabled} onChange={(e) => setBackground(1)(e.target.value)} className={colorClass} />
+          </Field>
+          <Field label="Text">
+            <input type="color" value={palette.custom.text} disabled={disabled} onChange={(e) => setCustom('text')(e.target.value)} className={colorClass} />
+          </Field>
+        </div>
+      )}
+    </div>
+  )
+}
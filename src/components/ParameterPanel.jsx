@@ -0,0 +1,54 @@
+import { synthParamDefs } from '../lib/interpreter'
+import { fieldClass } from './styles'
+
+// Shows the interpreter's parameters; any edit becomes an override until reset
+export default function ParameterPanel({ params, overrides, matches, onChange, onReset, disabled }) {
+  const overridden = Object.keys(overrides).length > 0
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-theme-text/80 font-semibold">Sound parameters</h3>
+        <button onClick={() => onReset()} disabled={disabled || !overridden}
+                className="text-xs text-theme hover:text-theme-text disabled:opacity-30">
+          Reset all
+        </button>
+      </div>
+
+      <p className="mb-3 text-xs text-theme-text/50">
+        {matches.length
+          ? <>Interpreted: {matches.map((m) => `${m.name} (“${m.word}”)`).join(', ')}</>
+          : 'No mood words recognised; values come from the prompt hash.'}
+      </p>
+
+      <div className="grid gap-2">
+        {Object.entries(synthParamDefs).map(([key, def]) => (
+          <div key={key} className="grid grid-cols-[7.5rem_1fr_auto] items-center gap-2">
+            <label htmlFor={`param-${key}`} className={overrides[key] !== undefined ? 'text-theme-text' : 'text-theme-text/60'}>
+              {def.label}
+            </label>
+            {def.type === 'select' ? (
+              <select id={`param-${key}`} value={params[key]} disabled={disabled}
+                      onChange={(e) => onChange(key, e.target.value)} className={fieldClass}>
+                {def.options.map((o) => <option key={o} value={o}>{o}</option>)}
+              </select>
+            ) : (
+              <div className="flex items-center gap-2">
+                <input id={`param-${key}`} type="range" min={def.min} max={def.max} step={def.step}
+                       value={params[key]} disabled={disabled}
+                       onChange={(e) => onChange(key, Number(e.target.value))}
+                       className="w-full accent-theme" />
+                <span className="w-16 text-right font-mono text-xs text-theme-text/70">{params[key]}{def.unit ? ` ${def.unit}` : ''}</span>
+              </div>
+            )}
+            <button onClick={() => onReset(key)} disabled={disabled || overrides[key] === undefined}
+                    title="Reset to interpreted value"
+                    className="text-xs text-theme hover:text-theme-text disabled:opacity-0">
+              ↺
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
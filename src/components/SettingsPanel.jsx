@@ -0,0 +1,75 @@
+import { LIMITS, aspectPresets, canvasSize, frameRates, resolutions } from '../lib/settings'
+import { compositionDuration } from '../lib/composition'
+import { fieldClass } from './styles'
+
+function Field({ label, children }) {
+  return (
+    <label className="grid gap-1">
+      <span className="text-xs text-theme-text/60">{label}</span>
+      {children}
+    </label>
+  )
+}
+
+export default function SettingsPanel({ settings, onChange, composition, disabled }) {
+  const set = (key) => (value) => onChange({ ...settings, [key]: value })
+  const { width, height } = canvasSize(settings)
+  const custom = settings.aspect === 'custom'
+
+  // Switching to a custom size starts from the current canvas
+  const setAspect = (aspect) => onChange(aspect === 'custom' ? { ...settings, aspect, width, height } : { ...settings, aspect })
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-theme-text/80 font-semibold">Output</h3>
+        <div className="flex items-center gap-4">
+          <label className="flex items-center gap-2 text-theme-text/80">
+            <input type="checkbox" checked={settings.loop} disabled={disabled} onChange={(e) => set('loop')(e.target.checked)} className="accent-theme" />
+            Seamless loop
+          </label>
+          <span className="text-xs text-theme-text/50 font-mono">{width}×{height} @ {settings.fps} fps</span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+        <Field label={composition.enabled ? `Audio length (${+compositionDuration(composition, settings.loop).toFixed(2)} s, from composition)` : 'Audio length (s)'}>
+          <input type="number" min={LIMITS.seconds.min} max={LIMITS.seconds.max} value={settings.audioSeconds}
+                 disabled={disabled || composition.enabled} onChange={(e) => set('audioSeconds')(Number(e.target.value))} className={fieldClass} />
+        </Field>
+        <Field label="Video length (s)">
+          <input type="number" min={LIMITS.seconds.min} max={LIMITS.seconds.max} value={settings.videoSeconds}
+                 disabled={disabled} onChange={(e) => set('videoSeconds')(Number(e.target.value))} className={fieldClass} />
+        </Field>
+        <Field label="Frame rate">
+          <select value={settings.fps} disabled={disabled} onChange={(e) => set('fps')(Number(e.target.value))} className={fieldClass}>
+            {frameRates.map((f) => <option key={f} value={f}>{f} fps</option>)}
+          </select>
+        </Field>
+        <Field label="Aspect ratio">
+          <select value={settings.aspect} disabled={disabled} onChange={(e) => setAspect(e.target.value)} className={fieldClass}>
+            {Object.entries(aspectPresets).map(([id, a]) => <option key={id} value={id}>{a.label}</option>)}
+          </select>
+        </Field>
+        {custom ? (
+          <div className="grid grid-cols-2 gap-2">
+            <Field label="Width">
+              <input type="number" min={LIMITS.size.min} max={LIMITS.size.max} step={2} value={settings.width}
+                     disabled={disabled} onChange={(e) => set('width')(Number(e.target.value))} className={fieldClass} />
+            </Field>
+            <Field label="Height">
+              <input type="number" min={LIMITS.size.min} max={LIMITS.size.max} step={2} value={settings.height}
+                     disabled={disabled} onChange={(e) => set('height')(Number(e.target.value))} className={fieldClass} />
+            </Field>
+          </div>
+        ) : (
+          <Field label="Resolution">
+            <select value={settings.resolution} disabled={disabled} onChange={(e) => set('resolution')(Number(e.target.value))} className={fieldClass}>
+              {resolutions.map((r) => <option key={r} value={r}>{r}p</option>)}
+            </select>
+          </Field>
+        )}
+      </div>
+    </div>
+  )
+}
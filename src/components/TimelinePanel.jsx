@@ -0,0 +1,275 @@
+import { useRef, useState } from 'react'
+import { layerFits, mediaDuration, mediaKind } from '../lib/layers'
+import {
+  TRACK_GAIN, clipEnd, clipLength, createClip, createTrack, duplicateClip, normalizeClip, timelineDuration, trackKindFor, trackSpans,
+} from '../lib/timeline'
+import { useToast } from './Toaster'
+import { fieldClass, linkButton, smallButton } from './styles'
+
+// The lanes always show at least this many seconds, plus some room after the last clip
+const MIN_VIEW = 10
+const SNAP = 0.05
+const tickSteps = [1, 2, 5, 10, 15, 30, 60]
+
+const snap = (t) => Math.round(t / SNAP) * SNAP
+const percent = (t, view) => `${(t / view) * 100}%`
+const seconds = (t) => `${Number(t.toFixed(2))}s`
+
+function Field({ label, children }) {
+  return (
+    <label className="grid gap-1">
+      <span className="text-xs text-theme-text/60">{label}</span>
+      {children}
+    </label>
+  )
+}
+
+function Ruler({ view }) {
+  const step = tickSteps.find((s) => view / s <= 12) ?? 60
+  const ticks = Array.from({ length: Math.floor(view / step) + 1 }, (_, i) => i * step)
+  return (
+    <div className="relative h-5 border-b border-theme/15">
+      {ticks.map((t) => (
+        <span key={t} className="absolute top-0 h-full border-l border-theme/20 pl-1 font-mono text-[10px] text-theme-text/50" style={{ left: percent(t, view) }}>
+          {t}s
+        </span>
+      ))}
+    </div>
+  )
+}
+
+// One clip on a lane: drag the body to move it, its edges to trim. Shaded corners are the
+// fades (crossfades included), dashed lines the loop seams.
+function ClipBlock({ clip, span, view, selected, onPointerDown }) {
+  const length = clipLength(clip)
+  const segment = clip.out - clip.in
+  return (
+    <div
+      onPointerDown={(e) => onPointerDown(e, 'move')}
+      title={`${clip.name}: ${seconds(clip.start)} to ${seconds(clipEnd(clip))}`}
+      className={`absolute inset-y-1 overflow-hidden rounded border cursor-grab touch-none select-none ${
+        selected ? 'border-theme-text bg-theme/30' : 'border-theme/40 bg-theme/15'
+      }`}
+      style={{ left: percent(clip.start, view), width: percent(length, view) }}
+    >
+      <div className="absolute inset-y-0 left-0 bg-gradient-to-r from-black/60" style={{ width: `${(span.fadeIn / length) * 100}%` }} />
+      <div className="absolute inset-y-0 right-0 bg-gradient-to-l from-black/60" style={{ width: `${(span.fadeOut / length) * 100}%` }} />
+      {Array.from({ length: clip.loops - 1 }, (_, k) => (
+        <div key={k} className="absolute inset-y-0 border-l border-dashed border-theme-text/40" style={{ left: `${((k + 1) * segment / length) * 100}%` }} />
+      ))}
+      <span className="relative block truncate px-2 pt-1 text-xs text-theme-text">{clip.name}</span>
+      <div onPointerDown={(e) => onPointerDown(e, 'in')} className="absolute inset-y-0 left-0 w-1.5 cursor-ew-resize hover:bg-theme-text/60" />
+      <div onPointerDown={(e) => onPointerDown(e, 'out')} className="absolute inset-y-0 right-0 w-1.5 cursor-ew-resize hover:bg-theme-text/60" />
+    </div>
+  )
+}
+
+function ClipEditor({ clip, onChange, onDuplicate, onRemove, disabled }) {
+  const number = (key, label, props = {}) => (
+    <Field label={label}>
+      <input type="number" min={0} step={0.1} value={Number(clip[key].toFixed(3))} disabled={disabled} {...props}
+             onChange={(e) => onChange({ [key]: Number(e.target.value) })} className={fieldClass} />
+    </Field>
+  )
+  return (
+    <div className="mt-3 rounded-lg border border-theme/15 p-3">
+      <div className="flex items-center justify-between mb-2">
+        <span className="truncate text-theme-text/80" title={clip.name}>
+          {clip.name}{clip.duration != null && <span className="text-theme-text/50"> · {seconds(clip.duration)} source</span>}
+        </span>
+        <div className="flex gap-3">
+          <button onClick={onDuplicate} disabled={disabled} className={linkButton}>Duplicate</button>
+          <button onClick={onRemove} disabled={disabled} className={linkButton}>Remove</button>
+        </div>
+      </div>
+      <div className="grid grid-cols-3 sm:grid-cols-6 gap-3">
+        {number('start', 'Start')}
+        {number('in', 'Trim in')}
+        {number('out', 'Trim out')}
+        {number('loops', 'Loops', { min: 1, step: 1 })}
+        {number('fadeIn', 'Fade in')}
+        {number('fadeOut', 'Fade out')}
+      </div>
+    </div>
+  )
+}
+
+// Multitrack arrangement of generated and imported clips (see timeline.js). sources are
+// the media available to place: [{ id, name, kind, blob }]; files can be added directly.
+// onChange is called with an updater of the current timeline, as a state setter takes.
+export default function TimelinePanel({ timeline, onChange, sources, onRender, disabled, renderDisabled }) {
+  const toast = useToast()
+  const [selected, setSelected] = useState(null)
+  const fileRef = useRef(null)
+  const fileTrackRef = useRef(null)
+  const dragRef = useRef(null)
+  const { tracks } = timeline
+  const duration = timelineDuration(timeline)
+  const view = Math.max(MIN_VIEW, Math.ceil(duration) + 2)
+
+  // Updates apply to the latest timeline, so edits made while a file is probed are kept
+  const setTracks = (update) => onChange((current) => ({ ...current, tracks: update(current.tracks) }))
+  const updateTrack = (id, changes) => setTracks((all) => all.map((t) => (t.id === id ? { ...t, ...changes } : t)))
+  const updateClip = (trackId, clipId, changes) => setTracks((all) => all.map((t) => (t.id !== trackId ? t : {
+    ...t,
+    clips: t.clips.map((c) => (c.id === clipId ? normalizeClip({ ...c, ...changes }) : c)),
+  })))
+  const addTrack = (kind) => setTracks((all) => [...all, createTrack(kind, all.filter((t) => t.kind === kind).length)])
+  const moveTrack = (i, delta) => setTracks((all) => {
+    const next = [...all]
+    const [track] = next.splice(i, 1)
+    next.splice(i + delta, 0, track)
+    return next
+  })
+
+  const addClip = async (track, media) => {
+    try {
+      const kind = media.kind ?? mediaKind(media.blob.type)
+      if (trackKindFor(kind) !== track.kind) throw new Error(`A ${kind ?? 'file of this type'} cannot go on an ${track.kind} track.`)
+      const duration = await mediaDuration(media.blob, kind)
+      placeClip(track, createClip({ ...media, kind, duration }), { append: true })
+    } catch (e) {
+      toast({ title: `Cannot add ${media.name}`, description: e.message, variant: 'error' })
+    }
+  }
+
+  // append puts the clip after the last clip the track has by the time the update applies
+  const placeClip = (track, clip, { append = false } = {}) => {
+    setTracks((all) => all.map((t) => (t.id !== track.id ? t : {
+      ...t,
+      clips: [...t.clips, append ? { ...clip, start: Math.max(0, ...t.clips.map(clipEnd)) } : clip],
+    })))
+    setSelected(clip.id)
+  }
+
+  const pickSource = (track, id) => {
+    if (id === 'file') {
+      fileTrackRef.current = track
+      fileRef.current?.click()
+      return
+    }
+    const source = sources.find((s) => s.id === id)
+    if (source) addClip(track, source)
+  }
+
+  const startDrag = (e, track, clip, mode) => {
+    e.stopPropagation()
+    setSelected(clip.id)
+    if (disabled) return
+    const lane = e.currentTarget.closest('[data-lane]')
+    e.currentTarget.setPointerCapture(e.pointerId)
+    dragRef.current = { x: e.clientX, track: track.id, clip, mode, scale: view / lane.getBoundingClientRect().width }
+  }
+
+  // Moving keeps the length; trimming the start keeps the end in place. Trims spread over
+  // the loops, so an edge follows the pointer.
+  const drag = (e) => {
+    const d = dragRef.current
+    if (!d) return
+    const delta = snap((e.clientX - d.x) * d.scale)
+    const { clip } = d
+    if (d.mode === 'move') return updateClip(d.track, clip.id, { start: clip.start + delta })
+    if (d.mode === 'out') return updateClip(d.track, clip.id, { out: clip.out + delta / clip.loops })
+    const trimmed = normalizeClip({ ...clip, in: clip.in + delta / clip.loops })
+    updateClip(d.track, clip.id, { in: trimmed.in, start: clipEnd(clip) - clipLength(trimmed) })
+  }
+
+  const selectedTrack = tracks.find((t) => t.clips.some((c) => c.id === selected))
+  const selectedClip = selectedTrack?.clips.find((c) => c.id === selected)
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-theme-text/80 font-semibold">Timeline</h3>
+        <div className="flex gap-3">
+          <button onClick={() => addTrack('audio')} disabled={disabled} className={linkButton}>Add audio track</button>
+          <button onClick={() => addTrack('visual')} disabled={disabled} className={linkButton}>Add visual track</button>
+          <button onClick={() => setTracks(() => [])} disabled={disabled || !tracks.length} className={linkButton}>Clear</button>
+          <input ref={fileRef} type="file" accept="audio/*,image/*,video/*" className="hidden"
+                 onChange={(e) => {
+                   const file = e.target.files[0]
+                   if (file && fileTrackRef.current) addClip(fileTrackRef.current, { name: file.name, blob: file })
+                   e.target.value = ''
+                 }} />
+        </div>
+      </div>
+
+      {!tracks.length ? (
+        <p className="text-xs text-theme-text/50">
+          Add tracks, then place generated or imported clips on them. Clips that overlap on a track crossfade; visual tracks are drawn bottom first.
+        </p>
+      ) : (
+        <div className="grid grid-cols-[13rem_1fr] gap-x-3" onPointerMove={drag}
+             onPointerUp={() => { dragRef.current = null }} onPointerCancel={() => { dragRef.current = null }}>
+          <div />
+          <Ruler view={view} />
+          {tracks.map((track, i) => (
+            <div key={track.id} className="contents">
+              <div className={`border-b border-theme/10 py-2 ${track.muted ? 'opacity-50' : ''}`}>
+                <div className="flex items-center gap-1">
+                  <span className="rounded px-1.5 py-0.5 text-[10px] uppercase tracking-wide bg-theme/10 text-theme-text">{track.kind}</span>
+                  <span className="flex-1 truncate text-theme-text/80">{track.name}</span>
+                  <button onClick={() => updateTrack(track.id, { muted: !track.muted })} disabled={disabled} aria-pressed={track.muted}
+                          className={`${smallButton} ${track.muted ? 'bg-theme/20' : ''}`} title={track.muted ? 'Unmute' : 'Mute'}>M</button>
+                  <button onClick={() => moveTrack(i, -1)} disabled={disabled || i === 0} className={smallButton} aria-label="Move up">↑</button>
+                  <button onClick={() => moveTrack(i, 1)} disabled={disabled || i === tracks.length - 1} className={smallButton} aria-label="Move down">↓</button>
+                  <button onClick={() => setTracks((all) => all.filter((t) => t.id !== track.id))} disabled={disabled} className={smallButton} aria-label="Remove">×</button>
+                </div>
+                {track.kind === 'audio' ? (
+                  <div className="mt-1 flex items-center gap-2">
+                    <input type="range" min={TRACK_GAIN.min} max={TRACK_GAIN.max} step={0.05} value={track.gain} disabled={disabled}
+                           onChange={(e) => updateTrack(track.id, { gain: Number(e.target.value) })} className="w-full accent-theme" aria-label="Gain" />
+                    <span className="w-10 text-right font-mono text-xs text-theme-text/70">{Math.round(track.gain * 100)}%</span>
+                  </div>
+                ) : (
+                  <div className="mt-1 grid grid-cols-[5rem_1fr_auto] items-center gap-2">
+                    <select value={track.fit} disabled={disabled} onChange={(e) => updateTrack(track.id, { fit: e.target.value })} className={fieldClass} aria-label="Fit">
+                      {Object.entries(layerFits).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                    <input type="range" min={0} max={1} step={0.05} value={track.opacity} disabled={disabled}
+                           onChange={(e) => updateTrack(track.id, { opacity: Number(e.target.value) })} className="w-full accent-theme" aria-label="Opacity" />
+                    <span className="w-9 text-right font-mono text-xs text-theme-text/70">{Math.round(track.opacity * 100)}%</span>
+                  </div>
+                )}
+                <select value="" disabled={disabled} onChange={(e) => pickSource(track, e.target.value)} className={`${fieldClass} mt-1 text-xs`} aria-label="Add clip">
+                  <option value="">Add clip…</option>
+                  {sources.filter((s) => trackKindFor(s.kind) === track.kind).map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+                  <option value="file">From file…</option>
+                </select>
+              </div>
+              <div data-lane className={`relative border-b border-theme/10 bg-theme/5 ${track.muted ? 'opacity-50' : ''}`}>
+                {trackSpans(track).map(({ clip, span }) => (
+                  <ClipBlock key={clip.id} clip={clip} span={span} view={view} selected={clip.id === selected}
+                             onPointerDown={(e, mode) => startDrag(e, track, clip, mode)} />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selectedClip && (
+        <ClipEditor
+          clip={selectedClip}
+          disabled={disabled}
+          onChange={(changes) => updateClip(selectedTrack.id, selectedClip.id, changes)}
+          onDuplicate={() => placeClip(selectedTrack, duplicateClip(selectedClip))}
+          onRemove={() => updateTrack(selectedTrack.id, { clips: selectedTrack.clips.filter((c) => c.id !== selected) })}
+        />
+      )}
+
+      <div className="mt-4 flex flex-wrap items-center justify-end gap-4">
+        <label className="flex items-center gap-2 text-theme-text/80">
+          <input type="checkbox" checked={timeline.animation} disabled={disabled}
+                 onChange={(e) => onChange((current) => ({ ...current, animation: e.target.checked }))} className="accent-theme" />
+          Draw the prompt animation over the tracks
+        </label>
+        <span className="font-mono text-xs text-theme-text/50">{seconds(duration)}</span>
+        <button onClick={onRender} disabled={disabled || renderDisabled || !duration}
+                className="rounded-lg px-4 py-2 font-semibold bg-theme hover:bg-theme/80 text-black disabled:opacity-40">
+          Render timeline
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,50 @@
+import { createContext, useCallback, useContext, useState } from 'react'
+import * as Toast from '@radix-ui/react-toast'
+
+// Non-blocking notifications. Wrap the app in <ToastProvider> and call
+// useToast()({ title, description?, variant?: 'info' | 'success' | 'error' }).
+
+const ToastContext = createContext(() => {})
+
+const variants = {
+  info: 'border-theme/30',
+  success: 'border-emerald-400/40',
+  error: 'border-red-400/50',
+}
+
+let nextId = 0
+
+export function ToastProvider({ children }) {
+  const [toasts, setToasts] = useState([])
+
+  const toast = useCallback(({ title, description, variant = 'info' }) => {
+    setToasts((list) => [...list, { id: ++nextId, title, description, variant }])
+  }, [])
+
+  const dismiss = (id) => setToasts((list) => list.filter((t) => t.id !== id))
+
+  return (
+    <ToastContext.Provider value={toast}>
+      <Toast.Provider swipeDirection="right">
+        {children}
+        {toasts.map((t) => (
+          <Toast.Root
+            key={t.id}
+            duration={t.variant === 'error' ? 10000 : 4000}
+            onOpenChange={(open) => !open && dismiss(t.id)}
+            className={`relative rounded-xl border ${variants[t.variant]} bg-[#0b1220]/95 backdrop-blur-md p-4 pr-10 text-sm text-white shadow-[0_0_24px_rgb(var(--theme-primary)/0.15)]`}
+          >
+            <Toast.Title className={`font-semibold ${t.variant === 'error' ? 'text-red-300' : 'text-theme-text'}`}>{t.title}</Toast.Title>
+            {t.description && (
+              <Toast.Description className="mt-1 text-theme-text/70 break-words">{t.description}</Toast.Description>
+            )}
+            <Toast.Close aria-label="Dismiss" className="absolute top-3 right-3 text-theme-text/50 hover:text-theme-text">✕</Toast.Close>
+          </Toast.Root>
+        ))}
+        <Toast.Viewport className="fixed bottom-4 right-4 z-50 flex w-[22rem] max-w-[92vw] flex-col gap-2 outline-none" />
+      </Toast.Provider>
+    </ToastContext.Provider>
+  )
+}
+
+export const useToast = () => useContext(ToastContext)
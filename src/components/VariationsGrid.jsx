@@ -0,0 +1,142 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { variationCounts, variationModes } from '../lib/variations'
+import { fieldClass } from './styles'
+
+const cardButton = 'rounded px-2 py-0.5 text-xs border border-theme/30 text-theme-text/80 hover:bg-theme/10 disabled:opacity-30'
+
+function Field({ label, children }) {
+  return (
+    <label className="grid gap-1">
+      <span className="text-xs text-theme-text/60">{label}</span>
+      {children}
+    </label>
+  )
+}
+
+function VariantCard({ variant, index, parentIndex, videoRef, listening, onListen, onTimeUpdate, onFavourite, onPromote, onBranch, disabled }) {
+  const url = useMemo(() => (variant.mergedBlob ? URL.createObjectURL(variant.mergedBlob) : null), [variant.mergedBlob])
+  useEffect(() => () => url && URL.revokeObjectURL(url), [url])
+
+  return (
+    <li className={`rounded-lg border p-2 ${variant.favourite ? 'border-amber-300/70' : 'border-theme/15'}`}>
+      {url ? (
+        <video ref={videoRef} src={url} loop playsInline muted={!listening} onTimeUpdate={onTimeUpdate} onClick={onListen}
+               className={`w-full rounded cursor-pointer ${listening ? 'ring-2 ring-theme-text' : ''}`}
+               title={listening ? 'Playing this variant’s audio' : 'Click to hear this variant'} />
+      ) : (
+        <div className="grid h-32 w-full place-items-center rounded bg-theme/5 text-xs text-theme-text/50">Rendering…</div>
+      )}
+      <div className="mt-2 flex items-center gap-1">
+        <span className="flex-1 truncate font-mono text-xs text-theme-text/70" title={`Seed ${variant.seed}`}>
+          #{index + 1} · {variant.seed}{parentIndex >= 0 && ` · from #${parentIndex + 1}`}
+        </span>
+        <button onClick={onFavourite} disabled={!url} aria-pressed={!!variant.favourite} aria-label="Favourite"
+                className={`${cardButton} ${variant.favourite ? 'text-amber-300 border-amber-300/60' : ''}`}>★</button>
+      </div>
+      <div className="mt-1 flex gap-1">
+        <button onClick={onPromote} disabled={disabled || !url} className={cardButton}>Use this</button>
+        <button onClick={onBranch} disabled={disabled || !url} className={cardButton}>Branch</button>
+      </div>
+    </li>
+  )
+}
+
+// Comparison grid of variants of the current prompt. All cards play in sync from the first
+// one's clock; only the clicked card is audible.
+export default function VariationsGrid({ variants, options, onOptionsChange, onGenerate, onBranch, onPromote, onFavourite, onClear, disabled }) {
+  const videos = useRef(new Map())
+  const [playing, setPlaying] = useState(false)
+  const [listening, setListening] = useState(null)
+  const set = (key) => (value) => onOptionsChange({ ...options, [key]: value })
+  const leaderId = variants.find((v) => v.mergedBlob)?.id
+
+  const register = (id) => (el) => {
+    if (el) videos.current.set(id, el)
+    else videos.current.delete(id)
+  }
+
+  const playAll = () => {
+    const list = [...videos.current.values()]
+    for (const video of list) video.currentTime = 0
+    Promise.all(list.map((video) => video.play())).catch((e) => console.error('Playback failed', e))
+    setPlaying(true)
+  }
+
+  const pauseAll = () => {
+    for (const video of videos.current.values()) video.pause()
+    setPlaying(false)
+  }
+
+  // Stop playback while a job runs, so cards rendered meanwhile join in step on Play all
+  useEffect(() => {
+    if (disabled) pauseAll()
+  }, [disabled])
+
+  const follow = (e) => {
+    const leader = e.currentTarget
+    for (const video of videos.current.values()) {
+      if (video !== leader && Math.abs(video.currentTime - leader.currentTime) > 0.1) video.currentTime = leader.currentTime
+    }
+  }
+
+  return (
+    <div className="rounded-xl border border-theme/20 bg-[#07101a] p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-theme-text/80 font-semibold">Variations</h3>
+        <button onClick={onClear} disabled={disabled || !variants.length} className="text-xs text-theme hover:text-theme-text disabled:opacity-30">
+          Clear
+        </button>
+      </div>
+
+      <div className="grid sm:grid-cols-[6rem_10rem_1fr_auto] items-end gap-3">
+        <Field label="Count">
+          <select value={options.count} disabled={disabled} onChange={(e) => set('count')(Number(e.target.value))} className={fieldClass}>
+            {variationCounts.map((n) => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </Field>
+        <Field label="Vary">
+          <select value={options.mode} disabled={disabled} onChange={(e) => set('mode')(e.target.value)} className={fieldClass}>
+            {Object.entries(variationModes).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </Field>
+        <Field label={`Jitter (${Math.round(options.amount * 100)}% of range)`}>
+          <input type="range" min={0.05} max={0.5} step={0.05} value={options.amount} disabled={disabled || options.mode === 'seeds'}
+                 onChange={(e) => set('amount')(Number(e.target.value))} className="w-full accent-theme" />
+        </Field>
+        <button onClick={() => onGenerate()} disabled={disabled}
+                className="rounded-lg px-4 py-2 font-semibold bg-theme hover:bg-theme/80 text-black disabled:opacity-40">
+          Generate variations
+        </button>
+      </div>
+
+      {variants.length > 0 && (
+        <>
+          <div className="mt-4 flex items-center gap-3">
+            <button onClick={playing ? pauseAll : playAll} disabled={!leaderId} className={cardButton}>
+              {playing ? 'Pause all' : 'Play all'}
+            </button>
+            <span className="text-xs text-theme-text/50">Click a variant to hear it. Branch renders new variations around it.</span>
+          </div>
+          <ol className={`mt-3 grid gap-3 ${variants.length > 4 ? 'grid-cols-2 sm:grid-cols-3' : 'grid-cols-2 sm:grid-cols-4'}`}>
+            {variants.map((variant, i) => (
+              <VariantCard
+                key={variant.id}
+                variant={variant}
+                index={i}
+                parentIndex={variants.findIndex((v) => v.id === variant.parentId)}
+                videoRef={register(variant.id)}
+                listening={listening === variant.id}
+                onListen={() => setListening((id) => (id === variant.id ? null : variant.id))}
+                onTimeUpdate={variant.id === leaderId ? follow : undefined}
+                onFavourite={() => onFavourite(variant.id)}
+                onPromote={() => onPromote(variant)}
+                onBranch={() => onBranch(variant)}
+                disabled={disabled}
+              />
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,11 @@
+// Class names shared by the panels. Colours are the `theme` ones from tailwind.config.js,
+// which follow the active palette (see themeVariables in lib/palette.js).
+
+export const fieldClass = 'w-full rounded-md bg-[#0a0f1a] border border-theme/30 px-2 py-1 outline-none focus:ring-2 ring-theme/60'
+
+// Roomier inputs of the main form and dialogs
+export const inputClass = 'rounded-lg bg-[#0a0f1a] border border-theme/30 px-3 py-2 outline-none focus:ring-2 ring-theme/60'
+
+export const linkButton = 'text-xs text-theme hover:text-theme-text disabled:opacity-30'
+
+export const smallButton = 'w-6 h-6 rounded border border-theme/30 hover:bg-theme/10 disabled:opacity-30'
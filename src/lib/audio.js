@@ -0,0 +1,179 @@
+import { hashString, rngFor } from './random'
+import { dsp } from './workers'
+import { audioBufferToChannels, channelsToWavBlob, wavInfo } from './audioEncode'
+import { interpretPrompt } from './interpreter'
+import { composeArrangement, midiToFreq, scheduleArrangement } from './composition'
+import { buildEffectsRack } from './effects'
+
+// Longest crossfade from a loop's tail into its start, in seconds (at most a quarter of the loop)
+const LOOP_CROSSFADE = 1.5
+
+// Generate ambient audio from prompt using OfflineAudioContext.
+// Same prompt + seed + params renders byte-identical output. params default to the
+// interpreter's reading of the prompt (see interpreter.js). With composition.enabled the
+// pad follows the chord progression and melody, arpeggio and drums are layered on top.
+// effects is the effects rack applied before the master fades (see effects.js), and
+// mastering the loudness target and true-peak ceiling applied last (see mastering.js).
+// With loop there are no fades: the render runs past the end and that tail is crossfaded
+// into the start, so the file repeats without a click.
+// The result is a 24-bit WAV tagged with the prompt, seed and generator version.
+// { signal, onProgress } report rendering progress and cancel it (see progress.js).
+export async function generateAmbientAudioFromPrompt(prompt, seconds = 8, seed = 0, params = interpretPrompt(prompt).params, composition = null, { effects = [], mastering = null, loop = false, signal, onProgress } = {}) {
+  const sampleRate = 44100
+  const end = seconds + (loop ? Math.min(LOOP_CROSSFADE, seconds / 4) : 0) // render length in seconds
+  const length = Math.round(end * sampleRate)
+  const offline = new OfflineAudioContext(2, length, sampleRate)
+
+  const { baseFreq } = params
+
+  // Noise layer and reverb impulse response are filled in the DSP worker
+  const [noiseData, irData] = await Promise.all([
+    dsp('noise', { prompt, seed, purpose: 'noise', length, amplitude: 0.02 }),
+    dsp('impulseResponse', { prompt, seed, length: Math.round(sampleRate * params.reverbSize), channels: 2 }),
+  ])
+  signal?.throwIfAborted()
+  const voice = buildSynthVoice(offline, params, { noiseBuffer: toAudioBuffer(offline, [noiseData]), ir: toAudioBuffer(offline, irData), effects })
+
+  const arrangement = composition?.enabled ? composeArrangement(composition, rngFor(prompt, seed, 'melody')) : null
+  if (arrangement) {
+    // Move the pad to each chord root, in the octave nearest the interpreted base frequency
+    // Looping, the tail past the end plays the start of the next repeat
+    const octave = Math.round(Math.log2(baseFreq / midiToFreq(arrangement.chords[0].midi[0])))
+    for (const offset of loop ? [0, seconds] : [0]) {
+      for (const chord of arrangement.chords) {
+        const root = midiToFreq(chord.midi[0]) * Math.pow(2, octave)
+        voice.osc1.frequency.setValueAtTime(root, chord.time + offset)
+        voice.osc2.frequency.setValueAtTime(root / 2, chord.time + offset)
+      }
+    }
+  }
+
+  // Master chain
+  const master = offline.createGain()
+  if (loop) {
+    master.gain.value = 0.8
+  } else {
+    master.gain.setValueAtTime(0, 0)
+    master.gain.linearRampToValueAtTime(0.8, arrangement ? 0.02 : 1) // don't swallow the first beat
+    master.gain.linearRampToValueAtTime(0.6, seconds - 1)
+    master.gain.linearRampToValueAtTime(0.0, seconds)
+  }
+  voice.output.connect(master)
+  master.connect(offline.destination)
+
+  if (arrangement) {
+    scheduleArrangement(offline, voice.mix, arrangement, rngFor(prompt, seed, 'drums'))
+    if (loop) scheduleArrangement(offline, voice.mix, arrangement, rngFor(prompt, seed, 'drums'), seconds)
+  }
+
+  for (const source of voice.sources) {
+    source.start(0)
+    source.stop(end)
+  }
+
+  const rendered = await renderWithProgress(offline, { signal, onProgress })
+  let audio = audioBufferToChannels(rendered)
+  if (loop) {
+    audio = await dsp('loopCrossfade', { ...audio, length: Math.round(seconds * sampleRate) }, { transfer: audio.channels.map((c) => c.buffer) })
+    signal?.throwIfAborted()
+  }
+  let loudness = null
+  if (mastering?.enabled) {
+    onProgress?.({ phase: 'Mastering', progress: null })
+    const { report, ...mastered } = await dsp('master', { ...audio, targetLufs: mastering.targetLufs, ceiling: mastering.ceiling }, { transfer: audio.channels.map((c) => c.buffer) })
+    audio = mastered
+    loudness = report
+    signal?.throwIfAborted()
+  }
+  const wavBlob = await channelsToWavBlob(audio, { bitDepth: 24, info: wavInfo({ prompt, seed }), ditherSeed: hashString(`${prompt}|${seed}|dither`) })
+  return { blob: wavBlob, duration: seconds, loudness }
+}
+
+// AudioBuffer holding channel data from the DSP worker
+export function toAudioBuffer(ctx, channels) {
+  const buffer = ctx.createBuffer(channels.length, channels[0].length, ctx.sampleRate)
+  channels.forEach((ch, c) => buffer.copyToChannel(ch, c))
+  return buffer
+}
+
+// The drone shared by the offline render and the live preview (see livePreview.js): an
+// evolving pad of two detuned oscillators, noise through a lowpass whose cutoff an LFO
+// sweeps, and a room reverb, all into the effects rack. noiseBuffer and ir come from the
+// DSP worker. Returns the nodes the parameters act on, the dry mix (composition parts join
+// it), the effects rack with its output and the sources to start.
+export function buildSynthVoice(ctx, params, { noiseBuffer, ir, effects = [] }) {
+  const osc1 = ctx.createOscillator()
+  osc1.type = params.osc1Type
+  osc1.frequency.value = params.baseFreq
+  osc1.detune.value = params.detune
+
+  const osc2 = ctx.createOscillator()
+  osc2.type = params.osc2Type
+  osc2.frequency.value = params.baseFreq / 2
+  osc2.detune.value = -params.detune
+
+  const noise = ctx.createBufferSource()
+  noise.buffer = noiseBuffer
+
+  // Filter and LFO
+  const filter = ctx.createBiquadFilter()
+  filter.type = 'lowpass'
+  filter.frequency.value = params.cutoff
+
+  const lfo = ctx.createOscillator()
+  lfo.type = 'sine'
+  lfo.frequency.value = params.lfoRate
+
+  const lfoGain = ctx.createGain()
+  lfoGain.gain.value = params.lfoDepth
+  lfo.connect(lfoGain)
+  lfoGain.connect(filter.frequency)
+
+  const reverb = ctx.createConvolver()
+  reverb.buffer = ir
+
+  const oscGain = ctx.createGain()
+  oscGain.gain.value = params.oscLevel
+
+  const noiseGain = ctx.createGain()
+  noiseGain.gain.value = params.noiseLevel
+
+  osc1.connect(oscGain)
+  osc2.connect(oscGain)
+  noise.connect(filter)
+  filter.connect(noiseGain)
+
+  const mix = ctx.createGain()
+  oscGain.connect(mix)
+  noiseGain.connect(mix)
+  // Dry mix and room reverb go through the effects rack
+  const rack = buildEffectsRack(ctx, effects)
+  mix.connect(reverb)
+  mix.connect(rack.input)
+  reverb.connect(rack.input)
+
+  return { osc1, osc2, noise, filter, lfo, lfoGain, reverb, oscGain, noiseGain, mix, rack, output: rack.output, sources: [osc1, osc2, noise, lfo] }
+}
+
+// OfflineAudioContext has no progress events, so suspend it once per rendered second to
+// report progress and to check for cancellation. An aborted render is left suspended.
+function renderWithProgress(offline, { signal, onProgress }) {
+  const duration = offline.length / offline.sampleRate
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted()
+    const abort = () => reject(signal.reason)
+    signal?.addEventListener('abort', abort, { once: true })
+    for (let t = 1; t < duration; t++) {
+      offline.suspend(t).then(() => {
+        if (signal?.aborted) return
+        onProgress?.({ phase: 'Synthesizing audio', progress: t / duration })
+        offline.resume()
+      })
+    }
+    offline.startRendering().then((rendered) => {
+      signal?.removeEventListener('abort', abort)
+      onProgress?.({ phase: 'Synthesizing audio', progress: 1 })
+      resolve(rendered)
+    }, reject)
+  })
+}
@@ -0,0 +1,214 @@
+// Offline audio analysis for audio-reactive visuals.
+// Features are precomputed per video frame from the decoded buffer, so a render
+// reacts the same way no matter how fast the frames are drawn.
+
+const FFT_SIZE = 2048
+const SPECTRUM_BANDS = 16
+const ONSET_DECAY = 0.85
+
+export const SILENT_FEATURES = Object.freeze({
+  rms: 0,
+  low: 0,
+  mid: 0,
+  high: 0,
+  onset: 0,
+  drive: 0,
+  spectrum: new Array(SPECTRUM_BANDS).fill(0),
+})
+
+// In-place iterative radix-2 FFT
+function fft(re, im) {
+  const n = re.length
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) j ^= bit
+    j ^= bit
+    if (i < j) {
+      ;[re[i], re[j]] = [re[j], re[i]]
+      ;[im[i], im[j]] = [im[j], im[i]]
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len
+    const wRe = Math.cos(ang)
+    const wIm = Math.sin(ang)
+    for (let i = 0; i < n; i += len) {
+      let curRe = 1
+      let curIm = 0
+      for (let k = 0; k < len / 2; k++) {
+        const aRe = re[i + k]
+        const aIm = im[i + k]
+        const bRe = re[i + k + len / 2] * curRe - im[i + k + len / 2] * curIm
+        const bIm = re[i + k + len / 2] * curIm + im[i + k + len / 2] * curRe
+        re[i + k] = aRe + bRe
+        im[i + k] = aIm + bIm
+        re[i + k + len / 2] = aRe - bRe
+        im[i + k + len / 2] = aIm - bIm
+        const nextRe = curRe * wRe - curIm * wIm
+        curIm = curRe * wIm + curIm * wRe
+        curRe = nextRe
+      }
+    }
+  }
+}
+
+// AudioBuffer stand-in over plain { sampleRate, channels } data, which is what workers get
+export function audioFromChannels({ sampleRate, channels }) {
+  return {
+    sampleRate,
+    numberOfChannels: channels.length,
+    length: channels[0].length,
+    duration: channels[0].length / sampleRate,
+    getChannelData: (ch) => channels[ch],
+  }
+}
+
+export function mixToMono(buffer) {
+  const mono = new Float32Array(buffer.length)
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch)
+    for (let i = 0; i < data.length; i++) mono[i] += data[i] / buffer.numberOfChannels
+  }
+  return mono
+}
+
+const hannWindow = (n) => new Float32Array(n).map((_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)))
+
+function bandEnergy(mags, binHz, lo, hi) {
+  const from = Math.max(1, Math.floor(lo / binHz))
+  const to = Math.min(mags.length - 1, Math.ceil(hi / binHz))
+  let sum = 0
+  for (let i = from; i <= to; i++) sum += mags[i]
+  return to >= from ? sum / (to - from + 1) : 0
+}
+
+function normalize(frames, key) {
+  const max = frames.reduce((m, f) => Math.max(m, f[key]), 0)
+  if (max > 0) frames.forEach((f) => { f[key] /= max })
+}
+
+// Analyse an AudioBuffer into one feature set per video frame.
+// Returns { frames, at(seconds) }; all values are normalised to 0..1 except `drive`,
+// which is the running integral of loudness (use it for audio-driven rotation/speed).
+// With loop the audio is treated as repeating: windows wrap around the ends and drive
+// has its trend removed, so it returns to its starting value at the end of the clip.
+export function analyzeAudio(buffer, fps = 30, { loop = false } = {}) {
+  const mono = mixToMono(buffer)
+  const count = Math.ceil(buffer.duration * fps)
+  const binHz = buffer.sampleRate / FFT_SIZE
+  const half = FFT_SIZE / 2
+  const hann = hannWindow(FFT_SIZE)
+  const edges = Array.from({ length: SPECTRUM_BANDS + 1 }, (_, i) => 40 * Math.pow(16000 / 40, i / SPECTRUM_BANDS))
+  const sample = loop ? (j) => mono[((j % mono.length) + mono.length) % mono.length] : (j) => mono[j] || 0
+
+  // Magnitude spectrum and energy of the window centred on frame f
+  const analyseWindow = (f) => {
+    const center = Math.floor((f / fps) * buffer.sampleRate)
+    const re = new Float32Array(FFT_SIZE)
+    const im = new Float32Array(FFT_SIZE)
+    let sumSq = 0
+    for (let i = 0; i < FFT_SIZE; i++) {
+      const s = sample(center - half + i)
+      sumSq += s * s
+      re[i] = s * hann[i]
+    }
+    fft(re, im)
+    const mags = new Float32Array(half)
+    for (let i = 0; i < half; i++) mags[i] = Math.hypot(re[i], im[i])
+    return { mags, sumSq }
+  }
+
+  const frames = []
+  // Looping, the first frame follows the last one rather than silence
+  let prevMags = loop && count > 1 ? analyseWindow(count - 1).mags : new Float32Array(half)
+  for (let f = 0; f < count; f++) {
+    const { mags, sumSq } = analyseWindow(f)
+    let flux = 0
+    for (let i = 0; i < half; i++) flux += Math.max(0, mags[i] - prevMags[i])
+    prevMags = mags
+
+    frames.push({
+      rms: Math.sqrt(sumSq / FFT_SIZE),
+      low: bandEnergy(mags, binHz, 20, 250),
+      mid: bandEnergy(mags, binHz, 250, 2000),
+      high: bandEnergy(mags, binHz, 2000, 8000),
+      flux,
+      spectrum: edges.slice(0, -1).map((lo, i) => bandEnergy(mags, binHz, lo, edges[i + 1])),
+    })
+  }
+
+  ;['rms', 'low', 'mid', 'high'].forEach((key) => normalize(frames, key))
+  const specMax = frames.reduce((m, fr) => Math.max(m, ...fr.spectrum), 0)
+  if (specMax > 0) frames.forEach((fr) => { fr.spectrum = fr.spectrum.map((v) => v / specMax) })
+
+  // Onset: spectral flux above a local moving average, held with an exponential decay
+  const radius = Math.max(2, Math.round(fps / 4))
+  const flux = frames.map((fr) => fr.flux)
+  let onset = 0
+  let drive = 0
+  frames.forEach((fr, i) => {
+    let avg = 0
+    let n = 0
+    for (let j = Math.max(0, i - radius); j <= Math.min(frames.length - 1, i + radius); j++) {
+      avg += flux[j]
+      n++
+    }
+    avg /= n
+    const isOnset = flux[i] > avg * 1.5 && flux[i] > (flux[i - 1] ?? 0)
+    onset = isOnset ? 1 : onset * ONSET_DECAY
+    drive += fr.rms / fps
+    fr.onset = onset
+    fr.drive = drive
+    delete fr.flux
+  })
+  if (loop) frames.forEach((fr, i) => { fr.drive -= (drive * i) / count })
+
+  return {
+    frames,
+    at(seconds) {
+      if (!frames.length) return SILENT_FEATURES
+      const i = Math.min(frames.length - 1, Math.max(0, Math.floor(seconds * fps)))
+      return frames[i]
+    },
+  }
+}
+
+const SPECTROGRAM_MAX_COLUMNS = 16000 // stays well inside canvas size limits
+const SPECTROGRAM_RANGE_DB = 80
+
+// Log-frequency magnitude spectrogram of a mono signal for display. Returns
+// { data, columns, bins, hopSeconds }: data holds columns × bins values in 0..1 (dB over an
+// 80 dB range below the loudest bin), column-major, lowest frequency first.
+export function computeSpectrogram(mono, sampleRate, { fftSize = 1024, bins = 96, minHz = 30 } = {}) {
+  const hop = Math.max(256, Math.ceil(mono.length / SPECTROGRAM_MAX_COLUMNS))
+  const columns = Math.max(1, Math.ceil(mono.length / hop))
+  const half = fftSize / 2
+  const hann = hannWindow(fftSize)
+  const binHz = sampleRate / fftSize
+  const edges = Array.from({ length: bins + 1 }, (_, i) => minHz * Math.pow(sampleRate / 2 / minHz, i / bins) / binHz)
+
+  const data = new Float32Array(columns * bins)
+  const re = new Float32Array(fftSize)
+  const im = new Float32Array(fftSize)
+  let maxDb = -Infinity
+  for (let c = 0; c < columns; c++) {
+    const center = c * hop
+    for (let i = 0; i < fftSize; i++) {
+      re[i] = (mono[center - half + i] || 0) * hann[i]
+      im[i] = 0
+    }
+    fft(re, im)
+    for (let b = 0; b < bins; b++) {
+      const from = Math.min(half - 1, Math.floor(edges[b]))
+      const to = Math.min(half, Math.max(from + 1, Math.floor(edges[b + 1])))
+      let sum = 0
+      for (let i = from; i < to; i++) sum += Math.hypot(re[i], im[i])
+      const db = 20 * Math.log10(sum / (to - from) + 1e-9)
+      data[c * bins + b] = db
+      if (db > maxDb) maxDb = db
+    }
+  }
+  const floor = maxDb - SPECTROGRAM_RANGE_DB
+  for (let i = 0; i < data.length; i++) data[i] = Math.max(0, (data[i] - floor) / SPECTROGRAM_RANGE_DB)
+  return { data, columns, bins, hopSeconds: hop / sampleRate }
+}
@@ -0,0 +1,41 @@
+// Audio encoding helpers shared by the generators and the exporter
+
+import { dsp } from './workers'
+import { hashString } from './random'
+import { version } from '../../package.json'
+
+export const GENERATOR = `AuralForge ${version}`
+
+// LIST/INFO tags for a generation's WAV files: the prompt, the seed and this generator's
+// version. No date, so re-rendering stays byte-identical.
+export function wavInfo({ prompt, seed }) {
+  return { title: prompt, comment: `seed ${seed}`, software: GENERATOR }
+}
+
+// Encode { channels, sampleRate } to WAV in the DSP worker (see encodeWav in dsp.js for
+// options: bitDepth 16, 24 or 32 float, info, ditherSeed). The channels are transferred.
+export async function channelsToWavBlob({ channels, sampleRate }, { bitDepth = 16, info = {}, ditherSeed = hashString(info.title || '') } = {}) {
+  const bytes = await dsp('encodeWav', { channels, sampleRate, bitDepth, info, ditherSeed }, { transfer: channels.map((c) => c.buffer) })
+  return new Blob([bytes], { type: 'audio/wav' })
+}
+
+// Encode an AudioBuffer to WAV; options as for channelsToWavBlob
+export function audioBufferToWavBlob(buffer, options) {
+  return channelsToWavBlob(audioBufferToChannels(buffer), options)
+}
+
+// Plain { sampleRate, channels } copy of an AudioBuffer for posting to a worker
+export function audioBufferToChannels(buffer) {
+  return {
+    sampleRate: buffer.sampleRate,
+    channels: Array.from({ length: buffer.numberOfChannels }, (_, ch) => buffer.getChannelData(ch).slice()),
+  }
+}
+
+// Decode any browser-supported audio blob at a fixed sample rate without opening an
+// output device (OfflineAudioContext resamples during decode)
+export async function decodeAudioBlob(blob, sampleRate = 48000) {
+  const ctx = new OfflineAudioContext(1, 1, sampleRate)
+  const arrayBuf = await blob.arrayBuffer()
+  return ctx.decodeAudioData(arrayBuf.slice(0))
+}
@@ -0,0 +1,97 @@
+import { probeContainer } from './offlineRender'
+
+// Probe what this browser can do before the user clicks anything: WebCodecs encoders per
+// container, MediaRecorder mime types, OffscreenCanvas and audio sample rates. The
+// generators use it to pick the best available video path, and the UI uses
+// describeLimits() to disable or explain what is unsupported.
+
+// MediaRecorder types in order of preference
+const recorderTypes = {
+  audioVideo: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4;codecs=avc1,mp4a.40.2', 'video/mp4'],
+  video: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4;codecs=avc1', 'video/mp4'],
+}
+
+const SAMPLE_RATES = [22050, 44100, 48000, 96000]
+
+export function pickRecorderMime(withAudio) {
+  if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null
+  return recorderTypes[withAudio ? 'audioVideo' : 'video'].find((t) => MediaRecorder.isTypeSupported(t)) ?? null
+}
+
+function probeSampleRates() {
+  if (typeof OfflineAudioContext === 'undefined') return []
+  return SAMPLE_RATES.filter((rate) => {
+    try {
+      new OfflineAudioContext(1, 1, rate)
+      return true
+    } catch {
+      return false
+    }
+  })
+}
+
+async function probe() {
+  const [webm, mp4] = await Promise.all([probeContainer('webm'), probeContainer('mp4')])
+  const audioContext = typeof (window.AudioContext || window.webkitAudioContext) !== 'undefined'
+  return {
+    containers: { webm, mp4 },
+    recorder: {
+      video: pickRecorderMime(false),
+      audioVideo: audioContext ? pickRecorderMime(true) : null, // audio is mixed in through an AudioContext
+    },
+    opus: webm.audio === 'opus' || mp4.audio === 'opus',
+    offscreenCanvas: typeof OffscreenCanvas !== 'undefined',
+    audioContext,
+    sampleRates: probeSampleRates(),
+    indexedDB: typeof indexedDB !== 'undefined',
+  }
+}
+
+let cached = null
+
+// Probes are cached for the page's lifetime
+export function detectCapabilities() {
+  if (!cached) cached = probe()
+  return cached
+}
+
+// How to render a video with or without audio: frame-exact WebCodecs into the first
+// container that has the needed encoders, else real-time MediaRecorder capture, else null
+export function pickVideoPath(caps, withAudio) {
+  for (const container of ['webm', 'mp4']) {
+    const c = caps.containers[container]
+    if (c.video && (!withAudio || c.audio)) return { method: 'offline', container }
+  }
+  const mimeType = caps.recorder[withAudio ? 'audioVideo' : 'video']
+  return mimeType ? { method: 'realtime', mimeType } : null
+}
+
+// Human-readable reasons a feature is unavailable, or null when it works
+export function describeLimits(caps) {
+  const audio = caps.sampleRates.includes(44100) ? null : 'This browser cannot render audio offline (Web Audio OfflineAudioContext at 44.1 kHz).'
+  const noVideo = 'This browser can neither encode video (WebCodecs) nor record a canvas (MediaRecorder).'
+  const exportVideo = (container) => (withAudio) => {
+    const c = caps.containers[container]
+    if (!c.video) return `This browser has no ${container.toUpperCase()} video encoder (WebCodecs).`
+    if (withAudio && !c.audio) return `This browser has no audio encoder for ${container.toUpperCase()} (WebCodecs).`
+    return null
+  }
+  const realtime = pickVideoPath(caps, false)?.method === 'realtime'
+  return {
+    audio,
+    video: pickVideoPath(caps, false) ? null : noVideo,
+    // Works, but worse: explain it rather than disable anything
+    videoFallback: realtime ? 'No WebCodecs video encoder here, so clips are recorded in real time: rendering takes as long as the clip and may drop frames.' : null,
+    merge: pickVideoPath(caps, true) ? null : noVideo,
+    // Per export format; functions take whether the clip has audio
+    exports: {
+      webm: exportVideo('webm'),
+      mp4: exportVideo('mp4'),
+      gif: () => null,
+      png: () => null,
+      wav: () => null,
+      ogg: () => (caps.opus ? null : 'This browser has no Opus encoder (WebCodecs AudioEncoder).'),
+      flac: () => null,
+    },
+  }
+}
@@ -0,0 +1,149 @@
+// Caption track for the typography layer: what text to show when, and how it looks.
+// captions = { source, font, size, position, color, animation, segments }, where segments
+// are timed { id, start, end, text } cues in seconds, and color is #rrggbb or null for the
+// palette's text colour (see palette.js). SRT and WebVTT files convert to and from
+// segments. Drawing lives in typography.js.
+
+export const captionSources = {
+  prompt: 'Prompt',
+  segments: 'Timed captions',
+  off: 'None',
+}
+
+export const captionPositions = { top: 'Top', center: 'Center', bottom: 'Bottom' }
+
+export const captionAnimations = {
+  none: 'None',
+  fade: 'Fade',
+  slide: 'Slide up',
+  typewriter: 'Typewriter',
+  pop: 'Per-word pop',
+}
+
+// family is a CSS font-family list; web fonts are also loaded by render.worker.js
+export const captionFonts = {
+  manrope: { label: 'Manrope', family: 'Manrope, Inter, system-ui, sans-serif', weight: 600, webFont: 'Manrope' },
+  manropeHeavy: { label: 'Manrope ExtraBold', family: 'Manrope, Inter, system-ui, sans-serif', weight: 800, webFont: 'Manrope' },
+  inter: { label: 'Inter', family: 'Inter, system-ui, sans-serif', weight: 700, webFont: 'Inter' },
+  plex: { label: 'IBM Plex Sans', family: '"IBM Plex Sans", system-ui, sans-serif', weight: 500, webFont: 'IBM Plex Sans' },
+  serif: { label: 'Serif', family: 'Georgia, "Times New Roman", serif', weight: 400 },
+  mono: { label: 'Monospace', family: 'ui-monospace, Menlo, Consolas, monospace', weight: 500 },
+}
+
+export const CAPTION_SIZE = { min: 12, max: 120 } // in design pixels (see frame.unit)
+
+export const DEFAULT_CAPTIONS = {
+  source: 'prompt',
+  font: 'manrope',
+  size: 28,
+  position: 'center',
+  color: null,
+  animation: 'none',
+  segments: [],
+}
+
+export function createSegment(start = 0, end = start + 2, text = '') {
+  return { id: `cap-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, start, end, text }
+}
+
+// Valid cues sorted by start time
+function normalizeSegments(segments) {
+  return (Array.isArray(segments) ? segments : [])
+    .map((s, i) => ({ id: s?.id || `cap-${i}`, start: Number(s?.start), end: Number(s?.end), text: String(s?.text ?? '') }))
+    .filter((s) => Number.isFinite(s.start) && Number.isFinite(s.end) && s.end > s.start && s.start >= 0)
+    .sort((a, b) => a.start - b.start)
+}
+
+export function normalizeCaptions(captions = {}) {
+  const c = { ...DEFAULT_CAPTIONS, ...captions }
+  const pick = (value, options, fallback) => (value in options ? value : fallback)
+  const size = Number(c.size)
+  return {
+    source: pick(c.source, captionSources, DEFAULT_CAPTIONS.source),
+    font: pick(c.font, captionFonts, DEFAULT_CAPTIONS.font),
+    size: Number.isFinite(size) ? Math.min(CAPTION_SIZE.max, Math.max(CAPTION_SIZE.min, size)) : DEFAULT_CAPTIONS.size,
+    position: pick(c.position, captionPositions, DEFAULT_CAPTIONS.position),
+    color: /^#[0-9a-f]{6}$/i.test(c.color) ? c.color : DEFAULT_CAPTIONS.color,
+    animation: pick(c.animation, captionAnimations, DEFAULT_CAPTIONS.animation),
+    segments: normalizeSegments(c.segments),
+  }
+}
+
+// The cues to draw for a clip: the whole prompt for its full length, the timed
+// captions, or nothing
+export function captionCues(captions, prompt, duration) {
+  if (captions.source === 'off') return []
+  if (captions.source === 'segments') return captions.segments.filter((s) => s.text.trim())
+  return prompt.trim() ? [{ id: 'prompt', start: 0, end: duration, text: prompt }] : []
+}
+
+// Split text into sentence cues (long sentences in chunks of about eight words) that
+// share the duration in proportion to their word counts
+export function segmentsFromText(text, duration) {
+  const chunks = text.split(/(?<=[.!?…])\s+/).flatMap((sentence) => {
+    const words = sentence.split(/\s+/).filter(Boolean)
+    const parts = []
+    for (let i = 0; i < words.length; i += 8) parts.push(words.slice(i, i + 8))
+    return parts
+  })
+  const total = chunks.reduce((n, words) => n + words.length, 0)
+  let start = 0
+  return chunks.map((words) => {
+    const end = start + (duration * words.length) / total
+    const segment = createSegment(Math.round(start * 1000) / 1000, Math.round(end * 1000) / 1000, words.join(' '))
+    start = end
+    return segment
+  })
+}
+
+// SRT and WebVTT
+
+function parseTimestamp(value) {
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/.exec(value.trim())
+  if (!m) return NaN
+  const [, h = 0, min, s, ms] = m
+  return Number(h) * 3600 + Number(min) * 60 + Number(s) + Number(ms.padEnd(3, '0')) / 1000
+}
+
+function formatTimestamp(seconds, separator) {
+  const total = Math.round(seconds * 1000)
+  const pad = (n, width = 2) => String(n).padStart(width, '0')
+  return `${pad(Math.floor(total / 3600000))}:${pad(Math.floor(total / 60000) % 60)}:${pad(Math.floor(total / 1000) % 60)}${separator}${pad(total % 1000, 3)}`
+}
+
+const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&quot;': '"', '&#39;': "'" }
+
+// Parse an SRT or WebVTT file into segments. Cue blocks are recognised by their
+// "start --> end" line, so the WEBVTT header, NOTE, STYLE and REGION blocks and SRT cue
+// numbers are skipped. Markup such as <i>, <v Speaker> and {\an8} is stripped.
+export function parseCaptions(text) {
+  const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+  const segments = []
+  for (const block of blocks) {
+    const lines = block.split('\n')
+    const timing = lines.findIndex((line) => line.includes('-->'))
+    if (timing < 0) continue
+    const [from, rest] = lines[timing].split('-->')
+    const start = parseTimestamp(from)
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0]) // VTT cue settings follow the end time
+    const body = lines.slice(timing + 1).join('\n')
+      .replace(/<[^>]*>/g, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/&(amp|lt|gt|nbsp|quot|#39);/g, (e) => entities[e])
+      .trim()
+    if (Number.isFinite(start) && Number.isFinite(end) && end > start && body) segments.push(createSegment(start, end, body))
+  }
+  return normalizeSegments(segments)
+}
+
+export function toSrt(segments) {
+  return segments
+    .map((s, i) => `${i + 1}\n${formatTimestamp(s.start, ',')} --> ${formatTimestamp(s.end, ',')}\n${s.text.trim()}\n`)
+    .join('\n')
+}
+
+export function toVtt(segments) {
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  const cues = segments.map((s) => `${formatTimestamp(s.start, '.')} --> ${formatTimestamp(s.end, '.')}\n${escape(s.text.trim())}\n`)
+  return ['WEBVTT\n', ...cues].join('\n')
+}
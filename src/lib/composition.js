@@ -0,0 +1,235 @@
+// Composition layer: key/scale, chord progressions, a 16-step sequencer for melody and
+// arpeggio lines, and synthesized drums, all scheduled into the same OfflineAudioContext
+// as the ambient pad (see audio.js).
+
+export const KEYS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
+
+export const scales = {
+  major: { label: 'Major', steps: [0, 2, 4, 5, 7, 9, 11] },
+  minor: { label: 'Natural minor', steps: [0, 2, 3, 5, 7, 8, 10] },
+  harmonicMinor: { label: 'Harmonic minor', steps: [0, 2, 3, 5, 7, 8, 11] },
+  dorian: { label: 'Dorian', steps: [0, 2, 3, 5, 7, 9, 10] },
+  phrygian: { label: 'Phrygian', steps: [0, 1, 3, 5, 7, 8, 10] },
+  lydian: { label: 'Lydian', steps: [0, 2, 4, 6, 7, 9, 11] },
+  mixolydian: { label: 'Mixolydian', steps: [0, 2, 4, 5, 7, 9, 10] },
+  pentatonic: { label: 'Minor pentatonic', steps: [0, 3, 5, 7, 10] },
+}
+
+// Progressions as zero-based scale degrees, one chord per bar
+export const progressions = {
+  'i-VI-III-VII': [0, 5, 2, 6],
+  'I-V-vi-IV': [0, 4, 5, 3],
+  'i-iv-v-i': [0, 3, 4, 0],
+  'ii-V-I-I': [1, 4, 0, 0],
+  'i-VII-VI-VII': [0, 6, 5, 6],
+  'drone (i)': [0],
+}
+
+export const arpPatterns = ['up', 'down', 'updown']
+
+// 16 steps per bar; numbers are step indices
+export const drumPatterns = {
+  basic: { label: 'Basic', kick: [0, 8], snare: [4, 12], hat: [0, 2, 4, 6, 8, 10, 12, 14] },
+  halftime: { label: 'Half-time', kick: [0, 10], snare: [8], hat: [0, 2, 4, 6, 8, 10, 12, 14] },
+  four: { label: 'Four on the floor', kick: [0, 4, 8, 12], snare: [4, 12], hat: [2, 6, 10, 14] },
+  breakbeat: { label: 'Breakbeat', kick: [0, 6, 10], snare: [4, 12, 15], hat: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15] },
+}
+
+export const DEFAULT_COMPOSITION = {
+  enabled: false,
+  key: 'A',
+  scale: 'minor',
+  progression: 'i-VI-III-VII',
+  tempo: 90,
+  bars: 4,
+  melody: true,
+  arp: true,
+  arpPattern: 'up',
+  drums: false,
+  drumPattern: 'basic',
+}
+
+export const COMPOSITION_LIMITS = {
+  tempo: { min: 50, max: 180 },
+  bars: { min: 1, max: 32 },
+}
+
+// Fill in defaults and drop unknown values, e.g. for compositions from storage or links
+export function normalizeComposition(composition = {}) {
+  const c = { ...DEFAULT_COMPOSITION, ...composition }
+  const int = (v, { min, max }, fallback) => (Number.isFinite(Number(v)) ? Math.min(max, Math.max(min, Math.round(Number(v)))) : fallback)
+  return {
+    enabled: !!c.enabled,
+    key: KEYS.includes(c.key) ? c.key : DEFAULT_COMPOSITION.key,
+    scale: c.scale in scales ? c.scale : DEFAULT_COMPOSITION.scale,
+    progression: c.progression in progressions ? c.progression : DEFAULT_COMPOSITION.progression,
+    tempo: int(c.tempo, COMPOSITION_LIMITS.tempo, DEFAULT_COMPOSITION.tempo),
+    bars: int(c.bars, COMPOSITION_LIMITS.bars, DEFAULT_COMPOSITION.bars),
+    melody: !!c.melody,
+    arp: !!c.arp,
+    arpPattern: arpPatterns.includes(c.arpPattern) ? c.arpPattern : DEFAULT_COMPOSITION.arpPattern,
+    drums: !!c.drums,
+    drumPattern: c.drumPattern in drumPatterns ? c.drumPattern : DEFAULT_COMPOSITION.drumPattern,
+  }
+}
+
+const STEPS_PER_BAR = 16
+const RELEASE_TAIL = 1.5 // seconds left after the last bar for envelopes and reverb
+
+export const midiToFreq = (midi) => 440 * Math.pow(2, (midi - 69) / 12)
+
+export function stepDuration(tempo) {
+  return 60 / tempo / 4 // sixteenth note
+}
+
+// Rendered length in seconds. A one-shot adds a tail for the last notes to ring out; a
+// loop lasts exactly its bars, since its tail wraps around into the start.
+export function compositionDuration({ tempo, bars }, loop = false) {
+  const length = bars * STEPS_PER_BAR * stepDuration(tempo)
+  return loop ? length : Math.ceil(length + RELEASE_TAIL)
+}
+
+function scaleNote(root, steps, degree) {
+  const n = steps.length
+  const octave = Math.floor(degree / n)
+  return root + steps[((degree % n) + n) % n] + 12 * octave
+}
+
+function chordNotes(root, steps, degree) {
+  return [0, 2, 4].map((i) => scaleNote(root, steps, degree + i))
+}
+
+function arpOrder(notes, pattern) {
+  if (pattern === 'down') return [...notes].reverse()
+  if (pattern === 'updown') return [...notes, ...notes.slice(1, -1).reverse()]
+  return notes
+}
+
+// Turn composition settings into timed events. rng drives the melody so it is seedable.
+// Returns { chords, notes, hits } with times in seconds.
+export function composeArrangement(settings, rng) {
+  const root = 48 + KEYS.indexOf(settings.key) // C3-based
+  const steps = scales[settings.scale].steps
+  const prog = progressions[settings.progression]
+  const step = stepDuration(settings.tempo)
+  const bar = step * STEPS_PER_BAR
+
+  const chords = []
+  const notes = []
+  const hits = []
+  let melodyDegree = 7 + Math.floor(rng() * 3)
+
+  for (let b = 0; b < settings.bars; b++) {
+    const degree = prog[b % prog.length]
+    const start = b * bar
+    const tones = chordNotes(root, steps, degree)
+    chords.push({ time: start, duration: bar, degree, midi: tones })
+
+    if (settings.arp) {
+      const order = arpOrder(tones.map((m) => m + 12), settings.arpPattern)
+      for (let s = 0; s < STEPS_PER_BAR; s++) {
+        notes.push({ voice: 'arp', time: start + s * step, duration: step * 0.9, midi: order[s % order.length], velocity: s % 4 === 0 ? 0.9 : 0.6 })
+      }
+    }
+
+    if (settings.melody) {
+      // Random walk over the scale on eighth notes, pulled toward chord tones on strong beats
+      for (let s = 0; s < STEPS_PER_BAR; s += 2) {
+        if (rng() > (s % 8 === 0 ? 0.85 : 0.45)) continue
+        if (s % 8 === 0) melodyDegree = degree + 7 + [0, 2, 4][Math.floor(rng() * 3)]
+        else melodyDegree = Math.max(5, Math.min(14, melodyDegree + Math.round((rng() - 0.5) * 4)))
+        const length = rng() < 0.3 ? 4 : 2
+        notes.push({ voice: 'melody', time: start + s * step, duration: step * length, midi: scaleNote(root, steps, melodyDegree), velocity: 0.8 })
+      }
+    }
+
+    if (settings.drums) {
+      const pattern = drumPatterns[settings.drumPattern]
+      for (const drum of ['kick', 'snare', 'hat']) {
+        for (const s of pattern[drum]) {
+          hits.push({ drum, time: start + s * step, velocity: drum === 'hat' && s % 4 !== 0 ? 0.5 : 1 })
+        }
+      }
+    }
+  }
+  return { chords, notes, hits }
+}
+
+const voices = {
+  melody: { type: 'triangle', attack: 0.02, release: 0.25, cutoff: 3200, gain: 0.22 },
+  arp: { type: 'square', attack: 0.005, release: 0.08, cutoff: 1800, gain: 0.08 },
+}
+
+function scheduleNote(ctx, dest, { voice, time, duration, midi, velocity }) {
+  const v = voices[voice]
+  const osc = ctx.createOscillator()
+  osc.type = v.type
+  osc.frequency.value = midiToFreq(midi)
+  const filter = ctx.createBiquadFilter()
+  filter.type = 'lowpass'
+  filter.frequency.value = v.cutoff
+  const env = ctx.createGain()
+  const peak = v.gain * velocity
+  env.gain.setValueAtTime(0, time)
+  env.gain.linearRampToValueAtTime(peak, time + v.attack)
+  env.gain.setValueAtTime(peak, time + Math.max(v.attack, duration))
+  env.gain.exponentialRampToValueAtTime(0.0001, time + duration + v.release)
+  osc.connect(filter)
+  filter.connect(env)
+  env.connect(dest)
+  osc.start(time)
+  osc.stop(time + duration + v.release + 0.05)
+}
+
+function scheduleDrum(ctx, dest, noiseBuffer, { drum, time, velocity }) {
+  const env = ctx.createGain()
+  env.connect(dest)
+  if (drum === 'kick') {
+    const osc = ctx.createOscillator()
+    osc.type = 'sine'
+    osc.frequency.setValueAtTime(150, time)
+    osc.frequency.exponentialRampToValueAtTime(40, time + 0.12)
+    env.gain.setValueAtTime(0.9 * velocity, time)
+    env.gain.exponentialRampToValueAtTime(0.0001, time + 0.4)
+    osc.connect(env)
+    osc.start(time)
+    osc.stop(time + 0.45)
+    return
+  }
+  const noise = ctx.createBufferSource()
+  noise.buffer = noiseBuffer
+  const filter = ctx.createBiquadFilter()
+  filter.type = 'highpass'
+  filter.frequency.value = drum === 'hat' ? 7000 : 1000
+  const decay = drum === 'hat' ? 0.05 : 0.2
+  env.gain.setValueAtTime((drum === 'hat' ? 0.25 : 0.5) * velocity, time)
+  env.gain.exponentialRampToValueAtTime(0.0001, time + decay)
+  noise.connect(filter)
+  filter.connect(env)
+  noise.start(time)
+  noise.stop(time + decay + 0.02)
+
+  if (drum === 'snare') {
+    const body = ctx.createOscillator()
+    body.type = 'triangle'
+    body.frequency.value = 180
+    const bodyEnv = ctx.createGain()
+    bodyEnv.gain.setValueAtTime(0.35 * velocity, time)
+    bodyEnv.gain.exponentialRampToValueAtTime(0.0001, time + 0.1)
+    body.connect(bodyEnv)
+    bodyEnv.connect(dest)
+    body.start(time)
+    body.stop(time + 0.12)
+  }
+}
+
+// Schedule an arrangement's notes and drum hits into ctx, starting offset seconds in.
+// Drum noise comes from rng so the whole render stays reproducible.
+export function scheduleArrangement(ctx, dest, { notes, hits }, rng, offset = 0) {
+  notes.forEach((n) => scheduleNote(ctx, dest, { ...n, time: n.time + offset }))
+  if (!hits.length) return
+  const noiseBuffer = ctx.createBuffer(1, Math.ceil(ctx.sampleRate * 0.25), ctx.sampleRate)
+  const data = noiseBuffer.getChannelData(0)
+  for (let i = 0; i < data.length; i++) data[i] = rng() * 2 - 1
+  hits.forEach((h) => scheduleDrum(ctx, dest, noiseBuffer, { ...h, time: h.time + offset }))
+}
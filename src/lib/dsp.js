@@ -0,0 +1,161 @@
+import { createRng, rngFor } from './random'
+import { audioFromChannels, computeSpectrogram, mixToMono } from './audioAnalysis'
+
+// Sample-level loops that are too slow for the main thread. These run in dsp.worker.js
+// (see workers.js) and take and return plain typed arrays, never AudioBuffers.
+
+// Seeded white noise, e.g. the pad's noise layer
+export function noise({ prompt, seed, purpose, length, amplitude = 1 }) {
+  const rng = rngFor(prompt, seed, purpose)
+  const data = new Float32Array(length)
+  for (let i = 0; i < length; i++) {
+    data[i] = (rng() * 2 - 1) * amplitude
+  }
+  return data
+}
+
+// Seeded decaying-noise impulse response, one Float32Array per channel
+export function impulseResponse({ prompt, seed, length, channels = 2 }) {
+  const rng = rngFor(prompt, seed, 'reverb')
+  return Array.from({ length: channels }, () => {
+    const ch = new Float32Array(length)
+    for (let i = 0; i < length; i++) {
+      ch[i] = (rng() * 2 - 1) * Math.pow(1 - i / length, 3) * 0.6
+    }
+    return ch
+  })
+}
+
+// Cut channels to length samples and crossfade what was rendered past that point into the
+// start (equal power), so the result repeats seamlessly: the last sample runs on into the
+// tail's first one, which now opens the loop.
+export function loopCrossfade({ channels, sampleRate, length }) {
+  const fade = Math.max(0, channels[0].length - length)
+  return {
+    sampleRate,
+    channels: channels.map((channel) => {
+      const out = channel.slice(0, length)
+      for (let i = 0; i < Math.min(fade, length); i++) {
+        const x = (i / fade) * (Math.PI / 2)
+        out[i] = channel[i] * Math.sin(x) + channel[length + i] * Math.cos(x)
+      }
+      return out
+    }),
+  }
+}
+
+// LIST/INFO tags written into WAV files, by chunk id
+export const wavInfoTags = { title: 'INAM', comment: 'ICMT', software: 'ISFT', artist: 'IART', date: 'ICRD' }
+
+// LIST chunk of INFO sub-chunks: UTF-8, NUL-terminated, padded to an even length
+function infoChunk(info) {
+  const enc = new TextEncoder()
+  const entries = Object.entries(wavInfoTags)
+    .filter(([key]) => info[key])
+    .map(([key, id]) => [id, enc.encode(`${info[key]}\0`)])
+  if (!entries.length) return new Uint8Array(0)
+  const size = 4 + entries.reduce((n, [, text]) => n + 8 + text.length + (text.length % 2), 0)
+  const bytes = new Uint8Array(8 + size)
+  const view = new DataView(bytes.buffer)
+  writeString(view, 0, 'LIST')
+  view.setUint32(4, size, true)
+  writeString(view, 8, 'INFO')
+  let o = 12
+  for (const [id, text] of entries) {
+    writeString(view, o, id)
+    view.setUint32(o + 4, text.length, true)
+    bytes.set(text, o + 8)
+    o += 8 + text.length + (text.length % 2)
+  }
+  return bytes
+}
+
+function writeString(view, offset, string) {
+  for (let i = 0; i < string.length; i++) {
+    view.setUint8(offset + i, string.charCodeAt(i))
+  }
+}
+
+// Samples already on the target grid (e.g. decoded from a file of the same or lower bit
+// depth) must not be dithered again
+function onGrid(channels, scale) {
+  return channels.every((ch) => ch.every((s) => Number.isInteger(s * scale)))
+}
+
+// Interleave channels into a WAV file and return its bytes. bitDepth is 16 or 24 (PCM,
+// with TPDF dither from a generator seeded by ditherSeed, so output stays reproducible) or
+// 32 (IEEE float). info fills a LIST/INFO chunk (see wavInfoTags).
+export function encodeWav({ channels, sampleRate, bitDepth = 16, info = {}, ditherSeed = 0 }) {
+  const float = bitDepth === 32
+  const numOfChan = channels.length
+  const numFrames = channels[0].length
+  const bytesPerSample = bitDepth / 8
+  const blockAlign = numOfChan * bytesPerSample
+  const dataSize = numFrames * blockAlign
+  const list = infoChunk(info)
+  // Float WAV needs the extended fmt chunk (cbSize) and a fact chunk
+  const fmtSize = float ? 18 : 16
+  const factSize = float ? 12 : 0
+  const headerSize = 12 + 8 + fmtSize + factSize + list.length + 8
+  const arrayBuffer = new ArrayBuffer(headerSize + dataSize + (dataSize % 2))
+  const view = new DataView(arrayBuffer)
+
+  // RIFF header
+  let offset = 0
+  writeString(view, offset, 'RIFF'); offset += 4
+  view.setUint32(offset, arrayBuffer.byteLength - 8, true); offset += 4
+  writeString(view, offset, 'WAVE'); offset += 4
+  writeString(view, offset, 'fmt '); offset += 4
+  view.setUint32(offset, fmtSize, true); offset += 4
+  view.setUint16(offset, float ? 3 : 1, true); offset += 2 // IEEE float or PCM
+  view.setUint16(offset, numOfChan, true); offset += 2
+  view.setUint32(offset, sampleRate, true); offset += 4
+  view.setUint32(offset, sampleRate * blockAlign, true); offset += 4
+  view.setUint16(offset, blockAlign, true); offset += 2
+  view.setUint16(offset, bitDepth, true); offset += 2
+  if (float) {
+    view.setUint16(offset, 0, true); offset += 2 // cbSize
+    writeString(view, offset, 'fact'); offset += 4
+    view.setUint32(offset, 4, true); offset += 4
+    view.setUint32(offset, numFrames, true); offset += 4
+  }
+  new Uint8Array(arrayBuffer).set(list, offset); offset += list.length
+  writeString(view, offset, 'data'); offset += 4
+  view.setUint32(offset, dataSize, true); offset += 4
+
+  // Write samples, interleaved
+  let idx = offset
+  if (float) {
+    for (let i = 0; i < numFrames; i++) {
+      for (let ch = 0; ch < numOfChan; ch++) {
+        view.setFloat32(idx, channels[ch][i], true)
+        idx += 4
+      }
+    }
+    return arrayBuffer
+  }
+  const scale = 2 ** (bitDepth - 1)
+  const rng = onGrid(channels, scale) ? null : createRng(ditherSeed)
+  for (let i = 0; i < numFrames; i++) {
+    for (let ch = 0; ch < numOfChan; ch++) {
+      // Triangular noise of ±1 LSB decorrelates the rounding error from the signal
+      const dither = rng ? rng() - rng() : 0
+      const q = Math.max(-scale, Math.min(scale - 1, Math.round(channels[ch][i] * scale + dither)))
+      if (bitDepth === 16) {
+        view.setInt16(idx, q, true)
+      } else {
+        view.setUint8(idx, q & 0xff)
+        view.setUint8(idx + 1, (q >> 8) & 0xff)
+        view.setUint8(idx + 2, (q >> 16) & 0xff)
+      }
+      idx += bytesPerSample
+    }
+  }
+  return arrayBuffer
+}
+
+// Mono mix and spectrogram of decoded audio for the waveform viewer
+export function audioOverview({ channels, sampleRate }) {
+  const mono = mixToMono(audioFromChannels({ sampleRate, channels }))
+  return { mono, spectrogram: computeSpectrogram(mono, sampleRate) }
+}
@@ -0,0 +1,251 @@
+// Effects rack for the audio chain. A rack is an ordered list of effect instances
+// { id, type, bypass, params } that buildEffectsRack() turns into Web Audio nodes between
+// the synth mix and the master gain. Effects use no randomness, so renders stay
+// reproducible for a given prompt + seed + params + rack.
+
+const dB = (v) => Math.pow(10, v / 20)
+
+function gainNode(ctx, value) {
+  const node = ctx.createGain()
+  node.gain.value = value
+  return node
+}
+
+function filterNode(ctx, type, frequency, { Q, gain } = {}) {
+  const node = ctx.createBiquadFilter()
+  node.type = type
+  node.frequency.value = frequency
+  if (Q !== undefined) node.Q.value = Q
+  if (gain !== undefined) node.gain.value = gain
+  return node
+}
+
+// Parallel dry and wet paths: input → dry → output and input → wetIn … wetOut → wet → output
+function dryWet(ctx, mix, wetIn, wetOut) {
+  const input = ctx.createGain()
+  const output = ctx.createGain()
+  input.connect(gainNode(ctx, 1 - mix)).connect(output)
+  input.connect(wetIn)
+  wetOut.connect(gainNode(ctx, mix)).connect(output)
+  return { input, output }
+}
+
+// Schroeder allpass: v[n] = x[n] + g·v[n-D], y[n] = v[n-D] - g·v[n]
+function schroederAllpass(ctx, delaySeconds, g) {
+  const input = ctx.createGain()
+  const output = ctx.createGain()
+  const delay = ctx.createDelay(1)
+  delay.delayTime.value = delaySeconds
+  input.connect(delay)
+  delay.connect(gainNode(ctx, g)).connect(input)
+  delay.connect(output)
+  input.connect(gainNode(ctx, -g)).connect(output)
+  return { input, output }
+}
+
+// Feedback comb with a lowpass in the loop; the gain gives an RT60 of `decay` seconds
+function dampedComb(ctx, delaySeconds, decay, damping) {
+  const delay = ctx.createDelay(1)
+  delay.delayTime.value = delaySeconds
+  const lowpass = filterNode(ctx, 'lowpass', damping, { Q: 0.5 })
+  const feedback = gainNode(ctx, Math.pow(10, (-3 * delaySeconds) / decay))
+  delay.connect(lowpass).connect(feedback).connect(delay)
+  return { input: delay, output: delay }
+}
+
+// Freeverb's comb and allpass tunings, in samples at whatever rate the context runs; the
+// right channel is spread
+const COMB_TUNINGS = [1116, 1188, 1277, 1356]
+const ALLPASS_TUNINGS = [556, 341]
+const STEREO_SPREAD = 23
+
+// Registry of effect types. Parameter definitions follow synthParamDefs in interpreter.js
+// plus a default; create(ctx, params) returns the effect's { input, output } nodes.
+export const effectTypes = {
+  eq: {
+    label: 'EQ',
+    params: {
+      low: { label: 'Low (200 Hz)', min: -18, max: 18, step: 0.5, unit: 'dB', default: 0 },
+      mid: { label: 'Mid', min: -18, max: 18, step: 0.5, unit: 'dB', default: 0 },
+      midFreq: { label: 'Mid frequency', min: 200, max: 6000, step: 10, unit: 'Hz', default: 1000 },
+      high: { label: 'High (5 kHz)', min: -18, max: 18, step: 0.5, unit: 'dB', default: 0 },
+    },
+    create(ctx, p) {
+      const low = filterNode(ctx, 'lowshelf', 200, { gain: p.low })
+      const mid = filterNode(ctx, 'peaking', p.midFreq, { Q: 0.9, gain: p.mid })
+      const high = filterNode(ctx, 'highshelf', 5000, { gain: p.high })
+      low.connect(mid).connect(high)
+      return { input: low, output: high }
+    },
+  },
+  compressor: {
+    label: 'Compressor',
+    params: {
+      threshold: { label: 'Threshold', min: -60, max: 0, step: 1, unit: 'dB', default: -24 },
+      ratio: { label: 'Ratio', min: 1, max: 20, step: 0.5, unit: ':1', default: 4 },
+      attack: { label: 'Attack', min: 0.001, max: 0.5, step: 0.001, unit: 's', default: 0.01 },
+      release: { label: 'Release', min: 0.01, max: 1, step: 0.01, unit: 's', default: 0.25 },
+      makeup: { label: 'Makeup gain', min: 0, max: 24, step: 0.5, unit: 'dB', default: 6 },
+    },
+    create(ctx, p) {
+      const comp = ctx.createDynamicsCompressor()
+      comp.threshold.value = p.threshold
+      comp.knee.value = 6
+      comp.ratio.value = p.ratio
+      comp.attack.value = p.attack
+      comp.release.value = p.release
+      const makeup = gainNode(ctx, dB(p.makeup))
+      comp.connect(makeup)
+      return { input: comp, output: makeup }
+    },
+  },
+  distortion: {
+    label: 'Saturation',
+    params: {
+      drive: { label: 'Drive', min: 1, max: 50, step: 0.5, default: 4 },
+      tone: { label: 'Tone', min: 500, max: 16000, step: 100, unit: 'Hz', default: 6000 },
+      mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 1 },
+    },
+    create(ctx, p) {
+      // tanh curve normalised so full scale stays at full scale
+      const shaper = ctx.createWaveShaper()
+      const curve = new Float32Array(2048)
+      const norm = Math.tanh(p.drive)
+      for (let i = 0; i < curve.length; i++) {
+        const x = (i / (curve.length - 1)) * 2 - 1
+        curve[i] = Math.tanh(p.drive * x) / norm
+      }
+      shaper.curve = curve
+      shaper.oversample = '4x'
+      const tone = filterNode(ctx, 'lowpass', p.tone, { Q: 0.5 })
+      shaper.connect(tone)
+      return dryWet(ctx, p.mix, shaper, tone)
+    },
+  },
+  chorus: {
+    label: 'Chorus',
+    params: {
+      rate: { label: 'Rate', min: 0.05, max: 5, step: 0.05, unit: 'Hz', default: 0.8 },
+      depth: { label: 'Depth', min: 0, max: 10, step: 0.1, unit: 'ms', default: 3 },
+      mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0.5 },
+    },
+    create(ctx, p) {
+      // Two modulated delays, swept in opposite directions, one per output channel
+      const lfo = ctx.createOscillator()
+      lfo.frequency.value = p.rate
+      const merger = ctx.createChannelMerger(2)
+      const wetIn = ctx.createGain()
+      ;[1, -1].forEach((sign, channel) => {
+        const delay = ctx.createDelay(0.1)
+        delay.delayTime.value = 0.015 + p.depth / 1000
+        lfo.connect(gainNode(ctx, (sign * p.depth) / 1000)).connect(delay.delayTime)
+        wetIn.connect(delay).connect(merger, 0, channel)
+      })
+      lfo.start(0)
+      return dryWet(ctx, p.mix, wetIn, merger)
+    },
+  },
+  delay: {
+    label: 'Delay',
+    params: {
+      time: { label: 'Time', min: 0.02, max: 2, step: 0.01, unit: 's', default: 0.375 },
+      feedback: { label: 'Feedback', min: 0, max: 0.9, step: 0.01, default: 0.35 },
+      tone: { label: 'Tone', min: 500, max: 16000, step: 100, unit: 'Hz', default: 4000 },
+      mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0.3 },
+    },
+    create(ctx, p) {
+      // Each repeat passes through the tone filter again, so echoes darken as they fade
+      const delay = ctx.createDelay(2)
+      delay.delayTime.value = p.time
+      const tone = filterNode(ctx, 'lowpass', p.tone, { Q: 0.5 })
+      delay.connect(tone)
+      tone.connect(gainNode(ctx, p.feedback)).connect(delay)
+      return dryWet(ctx, p.mix, delay, tone)
+    },
+  },
+  reverb: {
+    label: 'Reverb',
+    params: {
+      size: { label: 'Size', min: 0.5, max: 2, step: 0.05, default: 1 },
+      decay: { label: 'Decay', min: 0.2, max: 12, step: 0.1, unit: 's', default: 2.5 },
+      damping: { label: 'Damping', min: 1000, max: 16000, step: 100, unit: 'Hz', default: 6000 },
+      mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0.3 },
+    },
+    create(ctx, p) {
+      // Schroeder/Freeverb: parallel damped combs into series allpasses, per channel.
+      // Size scales every delay line; decay sets the comb feedback.
+      const rate = ctx.sampleRate
+      const splitter = ctx.createChannelSplitter(2)
+      const merger = ctx.createChannelMerger(2)
+      for (let channel = 0; channel < 2; channel++) {
+        const spread = channel * STEREO_SPREAD
+        const sum = gainNode(ctx, 1 / COMB_TUNINGS.length)
+        for (const n of COMB_TUNINGS) {
+          const comb = dampedComb(ctx, ((n + spread) / rate) * p.size, p.decay, p.damping)
+          splitter.connect(comb.input, channel)
+          comb.output.connect(sum)
+        }
+        let last = sum
+        for (const n of ALLPASS_TUNINGS) {
+          const allpass = schroederAllpass(ctx, ((n + spread) / rate) * p.size, 0.5)
+          last.connect(allpass.input)
+          last = allpass.output
+        }
+        last.connect(merger, 0, channel)
+      }
+      return dryWet(ctx, p.mix, splitter, merger)
+    },
+  },
+}
+
+export function defaultEffectParams(type) {
+  return Object.fromEntries(Object.entries(effectTypes[type].params).map(([key, def]) => [key, def.default]))
+}
+
+export function createEffect(type) {
+  return { id: `fx-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, type, bypass: false, params: defaultEffectParams(type) }
+}
+
+// Drop unknown effect types and fill or clamp params, e.g. for racks from older records
+export function normalizeRack(rack) {
+  return (Array.isArray(rack) ? rack : [])
+    .filter((fx) => effectTypes[fx?.type])
+    .map((fx, i) => {
+      const params = Object.fromEntries(Object.entries(effectTypes[fx.type].params).map(([key, def]) => {
+        const v = Number(fx.params?.[key])
+        return [key, Number.isFinite(v) ? Math.min(def.max, Math.max(def.min, v)) : def.default]
+      }))
+      return { id: fx.id || `fx-${i}`, type: fx.type, bypass: !!fx.bypass, params }
+    })
+}
+
+// Chain the rack's active effects in order; an empty or fully bypassed rack is a plain gain
+export function buildEffectsRack(ctx, rack) {
+  const input = ctx.createGain()
+  let output = input
+  for (const fx of normalizeRack(rack)) {
+    if (fx.bypass) continue
+    const node = effectTypes[fx.type].create(ctx, fx.params)
+    output.connect(node.input)
+    output = node.output
+  }
+  return { input, output }
+}
+
+function preset(name, effects) {
+  return {
+    id: `builtin-${name.toLowerCase().replace(/\W+/g, '-')}`,
+    name,
+    builtin: true,
+    rack: effects.map(([type, params], i) => ({ id: `fx-${i}`, type, bypass: false, params: { ...defaultEffectParams(type), ...params } })),
+  }
+}
+
+// Read-only presets; user presets are stored with the library (see library.js)
+export const builtinRackPresets = [
+  preset('Cathedral', [['eq', { low: -3, high: 2 }], ['reverb', { size: 1.8, decay: 9, damping: 4000, mix: 0.55 }]]),
+  preset('Tape echo', [['distortion', { drive: 2, tone: 7000, mix: 0.6 }], ['delay', { time: 0.42, feedback: 0.55, tone: 2500, mix: 0.35 }]]),
+  preset('Wide shimmer', [['chorus', { rate: 0.3, depth: 5, mix: 0.5 }], ['reverb', { size: 1.4, decay: 5, damping: 12000, mix: 0.4 }]]),
+  preset('Crushed', [['distortion', { drive: 18, tone: 4000 }], ['compressor', { threshold: -30, ratio: 8, makeup: 3 }]]),
+  preset('Glue', [['eq', { low: 2, mid: -2, midFreq: 400, high: 1.5 }], ['compressor', { threshold: -18, ratio: 3, attack: 0.02, makeup: 4 }]]),
+]
@@ -0,0 +1,103 @@
+import { renderClipFile } from './video'
+import { audioBufferToChannels, audioBufferToWavBlob, decodeAudioBlob, wavInfo } from './audioEncode'
+import { encodeOggOpus } from './ogg'
+import { dsp } from './workers'
+import { describeLimits, detectCapabilities } from './capabilities'
+import { probeContainer } from './offlineRender'
+
+// Export formats offered in the export dialog. Audio formats encode the generated or
+// imported audio; video formats re-render the clip from the generators.
+export const exportFormats = {
+  webm: { label: 'WebM (VP9 + Opus)', ext: 'webm', kind: 'video', options: ['videoBitrate', 'audioBitrate'] },
+  mp4: { label: 'MP4 (H.264 + AAC)', ext: 'mp4', kind: 'video', options: ['videoBitrate', 'audioBitrate'] },
+  gif: { label: 'Looping GIF', ext: 'gif', kind: 'video', options: [] },
+  png: { label: 'PNG sequence (.zip)', ext: 'zip', kind: 'video', options: [] },
+  wav: { label: 'WAV (PCM or float)', ext: 'wav', kind: 'audio', options: ['bitDepth'] },
+  ogg: { label: 'Ogg Opus', ext: 'ogg', kind: 'audio', options: ['audioBitrate'] },
+  flac: { label: 'FLAC (lossless)', ext: 'flac', kind: 'audio', options: [] },
+}
+
+// WAV sample formats; 16 and 24 bit are TPDF-dithered when they lose resolution
+export const wavBitDepths = { 16: '16-bit PCM', 24: '24-bit PCM', 32: '32-bit float' }
+
+// Quality presets; bitrates can still be overridden individually
+export const qualityPresets = {
+  low: { label: 'Low', videoBitrate: 2_000_000, audioBitrate: 64_000, gifScale: 0.3, gifFps: 10, gifColors: 64 },
+  medium: { label: 'Medium', videoBitrate: 5_000_000, audioBitrate: 128_000, gifScale: 0.45, gifFps: 15, gifColors: 128 },
+  high: { label: 'High', videoBitrate: 10_000_000, audioBitrate: 192_000, gifScale: 0.6, gifFps: 20, gifColors: 256 },
+}
+
+// How a format is encoded, for the provenance manifest (see manifest.js): codec names and
+// the settings that shaped the file. Video codecs are the ones renderOffline picks for
+// this browser, size and bitrate.
+async function describeEncoding(format, clip, preset, options) {
+  if (format === 'wav') {
+    const bitDepth = Number(options.bitDepth) || 24
+    return { audio: bitDepth === 32 ? 'pcm-f32le' : `pcm-s${bitDepth}le`, bitDepth, sampleRate: 44100 }
+  }
+  if (format === 'ogg') return { audio: 'opus', audioBitrate: preset.audioBitrate, sampleRate: 48000 }
+  if (format === 'flac') return { audio: 'flac', sampleRate: 44100 }
+  if (format === 'gif') return { video: 'gif', scale: preset.gifScale, fps: preset.gifFps, colors: preset.gifColors }
+  if (format === 'png') return { video: 'png', fps: clip.fps }
+  const { video, audio } = await probeContainer(format, { width: clip.width, height: clip.height, fps: clip.fps, videoBitrate: preset.videoBitrate, audioBitrate: preset.audioBitrate })
+  return { video, audio: clip.audioBlob ? audio : null, videoBitrate: preset.videoBitrate, audioBitrate: clip.audioBlob ? preset.audioBitrate : null, fps: clip.fps }
+}
+
+// Export the current generation. clip = { prompt, style, seed, seconds, fps, width, height,
+// layers, audioBlob }; options = { quality, videoBitrate?, audioBitrate?, bitDepth?,
+// baseName?, signal?, onProgress? } (see progress.js). Resolves with
+// { blob, fileName, baseName, encoding } (see describeEncoding).
+export async function exportClip(format, clip, options = {}) {
+  const progress = { signal: options.signal, onProgress: options.onProgress }
+  const spec = exportFormats[format]
+  if (!spec) throw new Error(`Unknown export format: ${format}`)
+  const preset = { ...qualityPresets[options.quality || 'medium'] }
+  if (options.videoBitrate) preset.videoBitrate = options.videoBitrate
+  if (options.audioBitrate) preset.audioBitrate = options.audioBitrate
+  const baseName = options.baseName || `auralforge-${Date.now()}`
+  const fileName = `${baseName}.${spec.ext}`
+  const unsupported = describeLimits(await detectCapabilities()).exports[format](!!clip.audioBlob)
+  if (unsupported) throw new Error(unsupported)
+
+  if (spec.kind === 'audio') {
+    if (!clip.audioBlob) throw new Error('Generate or import audio first.')
+    progress.onProgress?.({ phase: `Encoding ${spec.label}`, progress: null })
+    const { signal } = progress
+    const audio = await decodeAudioBlob(clip.audioBlob, format === 'ogg' ? 48000 : 44100)
+    signal?.throwIfAborted()
+    let blob
+    if (format === 'wav') blob = await audioBufferToWavBlob(audio, { bitDepth: Number(options.bitDepth) || 24, info: wavInfo(clip) })
+    else if (format === 'ogg') blob = await encodeOggOpus(audio, { bitrate: preset.audioBitrate, comments: { title: clip.prompt }, signal })
+    else {
+      const channels = audioBufferToChannels(audio)
+      const bytes = await dsp('encodeFlac', channels, { ...progress, transfer: channels.channels.map((c) => c.buffer) })
+      blob = new Blob([bytes], { type: 'audio/flac' })
+    }
+    signal?.throwIfAborted()
+    return { blob, fileName, baseName, encoding: await describeEncoding(format, clip, preset, options) }
+  }
+
+  // Video formats re-render from the generators so every format is frame-exact; with
+  // audio present the export matches Merge & Preview
+  const blob = await renderClipFile(clip, format, { ...preset, baseName }, progress)
+  return { blob, fileName, baseName, encoding: await describeEncoding(format, clip, preset, options) }
+}
+
+// File extension for a generated blob, e.g. a merged clip that came out as MP4
+const extensions = { 'video/webm': 'webm', 'video/mp4': 'mp4', 'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/wave': 'wav', 'audio/ogg': 'ogg', 'audio/mpeg': 'mp3', 'audio/flac': 'flac' }
+
+export function extensionForType(type) {
+  const mime = (type || '').split(';')[0].trim()
+  return extensions[mime] || mime.split('/')[1] || 'bin'
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = fileName
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
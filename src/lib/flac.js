@@ -0,0 +1,243 @@
+import { createYielder } from './progress'
+
+// Minimal 16-bit FLAC encoder: fixed-blocksize frames, FIXED predictors (order 0-4)
+// and partitioned Rice residuals. No LPC, so it compresses less than libFLAC, but it is
+// lossless and small. Runs in dsp.worker.js (see workers.js).
+
+const BLOCK_SIZE = 4096
+const MAX_PARTITION_ORDER = 4
+
+class BitWriter {
+  constructor(capacity = 1 << 16) {
+    this.bytes = new Uint8Array(capacity)
+    this.pos = 0 // in bytes
+    this.acc = 0
+    this.bits = 0
+  }
+
+  ensure(n) {
+    if (this.pos + n < this.bytes.length) return
+    const next = new Uint8Array(Math.max(this.bytes.length * 2, this.pos + n + 1))
+    next.set(this.bytes)
+    this.bytes = next
+  }
+
+  write(value, count) {
+    // Split wide writes so the accumulator never exceeds 32 bits
+    while (count > 16) {
+      count -= 16
+      this.write(Math.floor(value / 2 ** count) & 0xffff, 16)
+    }
+    this.acc = (this.acc << count) | (value & ((1 << count) - 1))
+    this.bits += count
+    this.ensure(4)
+    while (this.bits >= 8) {
+      this.bits -= 8
+      this.bytes[this.pos++] = (this.acc >>> this.bits) & 0xff
+    }
+    this.acc &= (1 << this.bits) - 1
+  }
+
+  writeUnary(q) {
+    while (q >= 16) {
+      this.write(0, 16)
+      q -= 16
+    }
+    this.write(1, q + 1)
+  }
+
+  alignToByte() {
+    if (this.bits) this.write(0, 8 - this.bits)
+  }
+
+  result() {
+    return this.bytes.subarray(0, this.pos)
+  }
+}
+
+function crc8(bytes) {
+  let crc = 0
+  for (const b of bytes) {
+    crc ^= b
+    for (let i = 0; i < 8; i++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff
+  }
+  return crc
+}
+
+function crc16(bytes) {
+  let crc = 0
+  for (const b of bytes) {
+    crc ^= b << 8
+    for (let i = 0; i < 8; i++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff
+  }
+  return crc
+}
+
+// FLAC frame numbers use the extended UTF-8 style varint
+function utf8Number(n) {
+  if (n < 0x80) return [n]
+  const count = n < 0x800 ? 2 : n < 0x10000 ? 3 : n < 0x200000 ? 4 : n < 0x4000000 ? 5 : 6
+  const out = []
+  for (let i = 1; i < count; i++) {
+    out.unshift(0x80 | (n & 0x3f))
+    n = Math.floor(n / 64)
+  }
+  out.unshift(((0xff00 >> count) & 0xff) | n)
+  return out
+}
+
+function fixedResidual(samples, order) {
+  const n = samples.length
+  const res = new Int32Array(n - order)
+  for (let i = order; i < n; i++) {
+    const s = samples
+    let pred = 0
+    if (order === 1) pred = s[i - 1]
+    else if (order === 2) pred = 2 * s[i - 1] - s[i - 2]
+    else if (order === 3) pred = 3 * s[i - 1] - 3 * s[i - 2] + s[i - 3]
+    else if (order === 4) pred = 4 * s[i - 1] - 6 * s[i - 2] + 4 * s[i - 3] - s[i - 4]
+    res[i - order] = s[i] - pred
+  }
+  return res
+}
+
+const zigzag = (v) => (v >= 0 ? v * 2 : -v * 2 - 1)
+
+function riceCost(values, from, to, k) {
+  let bits = 0
+  for (let i = from; i < to; i++) bits += (zigzag(values[i]) >>> k) + 1 + k
+  return bits
+}
+
+function bestRiceParam(values, from, to) {
+  let sum = 0
+  for (let i = from; i < to; i++) sum += zigzag(values[i])
+  const mean = to > from ? sum / (to - from) : 0
+  const guess = Math.max(0, Math.min(14, Math.floor(Math.log2(mean + 1))))
+  let best = guess
+  let bestCost = riceCost(values, from, to, guess)
+  for (const k of [guess - 1, guess + 1]) {
+    if (k < 0 || k > 14) continue
+    const cost = riceCost(values, from, to, k)
+    if (cost < bestCost) {
+      best = k
+      bestCost = cost
+    }
+  }
+  return { k: best, cost: bestCost }
+}
+
+// Choose the partition order with the smallest estimated size
+function planResidual(residual, blockSize, order) {
+  let best = null
+  for (let p = 0; p <= MAX_PARTITION_ORDER; p++) {
+    if (blockSize % (1 << p) || (blockSize >> p) <= order) break
+    const partSize = blockSize >> p
+    const params = []
+    let bits = 0
+    let offset = 0
+    for (let part = 0; part < 1 << p; part++) {
+      const count = part === 0 ? partSize - order : partSize
+      const { k, cost } = bestRiceParam(residual, offset, offset + count)
+      params.push({ k, from: offset, to: offset + count })
+      bits += 4 + cost
+      offset += count
+    }
+    if (!best || bits < best.bits) best = { order: p, params, bits }
+  }
+  return best
+}
+
+function writeSubframe(w, samples) {
+  let best = null
+  for (let order = 0; order <= 4 && order < samples.length; order++) {
+    const residual = fixedResidual(samples, order)
+    const plan = planResidual(residual, samples.length, order)
+    const bits = order * 16 + plan.bits
+    if (!best || bits < best.bits) best = { order, residual, plan, bits }
+  }
+  const { order, residual, plan } = best
+  w.write(0, 1)
+  w.write(0b001000 | order, 6) // SUBFRAME_FIXED
+  w.write(0, 1) // no wasted bits
+  for (let i = 0; i < order; i++) w.write(samples[i] & 0xffff, 16)
+  w.write(0, 2) // RESIDUAL_CODING_METHOD_PARTITIONED_RICE
+  w.write(plan.order, 4)
+  for (const { k, from, to } of plan.params) {
+    w.write(k, 4)
+    for (let i = from; i < to; i++) {
+      const u = zigzag(residual[i])
+      w.writeUnary(u >>> k)
+      if (k) w.write(u & ((1 << k) - 1), k)
+    }
+  }
+}
+
+function sampleRateCode(rate) {
+  return { 44100: 0b1001, 48000: 0b1010, 96000: 0b1011, 32000: 0b1000 }[rate] ?? 0
+}
+
+function toInt16(data) {
+  const out = new Int32Array(data.length)
+  for (let i = 0; i < data.length; i++) {
+    const s = Math.max(-1, Math.min(1, data[i]))
+    out[i] = Math.round(s < 0 ? s * 0x8000 : s * 0x7fff)
+  }
+  return out
+}
+
+// Encode { channels, sampleRate } (up to 8 channels) to 16-bit FLAC and return its bytes.
+// Yields between frames, so an abort of signal stops it part-way.
+export async function encodeFlac({ channels: data, sampleRate }, { signal, onProgress } = {}) {
+  const yieldToLoop = createYielder(signal)
+  const channels = Math.min(8, data.length)
+  const pcm = data.slice(0, channels).map(toInt16)
+  const total = data[0].length
+
+  const header = new BitWriter(64)
+  header.write(0x664c6143, 32) // fLaC
+  header.write(1, 1) // last metadata block
+  header.write(0, 7) // STREAMINFO
+  header.write(34, 24)
+  header.write(BLOCK_SIZE, 16)
+  header.write(BLOCK_SIZE, 16)
+  header.write(0, 24) // min frame size unknown
+  header.write(0, 24) // max frame size unknown
+  header.write(sampleRate, 20)
+  header.write(channels - 1, 3)
+  header.write(15, 5) // 16 bits per sample
+  header.write(Math.floor(total / 2 ** 32), 4)
+  header.write(total >>> 0, 32)
+  for (let i = 0; i < 4; i++) header.write(0, 32) // MD5 not computed
+
+  const parts = [header.result().slice()]
+  for (let frame = 0, start = 0; start < total; frame++, start += BLOCK_SIZE) {
+    await yieldToLoop()
+    onProgress?.({ phase: 'Encoding FLAC', progress: start / total })
+    const size = Math.min(BLOCK_SIZE, total - start)
+    const w = new BitWriter(size * channels * 2 + 64)
+    w.write(0b11111111111110, 14)
+    w.write(0, 1)
+    w.write(0, 1) // fixed blocksize stream
+    w.write(0b0111, 4) // 16-bit (blocksize - 1) follows
+    w.write(sampleRateCode(sampleRate), 4)
+    w.write(channels - 1, 4) // independent channels
+    w.write(0b100, 3) // 16 bits per sample
+    w.write(0, 1)
+    for (const b of utf8Number(frame)) w.write(b, 8)
+    w.write(size - 1, 16)
+    w.write(crc8(w.result()), 8)
+
+    for (let ch = 0; ch < channels; ch++) writeSubframe(w, pcm[ch].subarray(start, start + size))
+    w.alignToByte()
+    w.write(crc16(w.result()), 16)
+    parts.push(w.result().slice())
+  }
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    bytes.set(part, offset)
+    offset += part.length
+  }
+  return bytes
+}
@@ -0,0 +1,104 @@
+import { hashString } from './random'
+
+// Local prompt interpreter: maps mood, tempo, texture and intensity words to synthesis
+// parameters. Hash-derived values are the baseline so unknown prompts still differ.
+
+const OSC_TYPES = ['sine', 'triangle', 'sawtooth', 'square']
+
+// Editable parameters, in panel order
+export const synthParamDefs = {
+  osc1Type: { label: 'Oscillator 1', type: 'select', options: OSC_TYPES },
+  osc2Type: { label: 'Oscillator 2', type: 'select', options: OSC_TYPES },
+  baseFreq: { label: 'Base frequency', min: 40, max: 880, step: 1, unit: 'Hz' },
+  detune: { label: 'Detune', min: -200, max: 200, step: 1, unit: 'ct' },
+  cutoff: { label: 'Filter cutoff', min: 100, max: 8000, step: 10, unit: 'Hz' },
+  lfoRate: { label: 'LFO rate', min: 0.02, max: 4, step: 0.01, unit: 'Hz' },
+  lfoDepth: { label: 'LFO depth', min: 0, max: 2000, step: 10, unit: 'Hz' },
+  reverbSize: { label: 'Reverb size', min: 0.3, max: 6, step: 0.1, unit: 's' },
+  oscLevel: { label: 'Oscillator level', min: 0, max: 0.6, step: 0.01 },
+  noiseLevel: { label: 'Noise level', min: 0, max: 0.6, step: 0.01 },
+  hue: { label: 'Palette hue', min: 0, max: 359, step: 1, unit: '°' },
+}
+
+// Each rule: words to look for and a function adjusting the params in place
+const rules = [
+  { category: 'mood', name: 'dark', words: ['dark', 'grim', 'sinister', 'doom', 'evil', 'shadow', 'lord', 'biomechanical'],
+    apply: (p) => { p.baseFreq *= 0.6; p.cutoff = 500; p.osc1Type = 'sawtooth'; p.hue = 265 } },
+  { category: 'mood', name: 'calm', words: ['calm', 'peace', 'serene', 'gentle', 'soft', 'dawn', 'tranquil', 'meditat'],
+    apply: (p) => { p.osc1Type = 'sine'; p.osc2Type = 'triangle'; p.cutoff = 1200; p.lfoRate = 0.08; p.noiseLevel = 0.1; p.reverbSize = 3.5; p.hue = 180 } },
+  { category: 'mood', name: 'bright', words: ['bright', 'happy', 'joy', 'sun', 'uplift', 'hope', 'summer'],
+    apply: (p) => { p.baseFreq *= 1.5; p.osc1Type = 'triangle'; p.cutoff = 2400; p.hue = 45 } },
+  { category: 'mood', name: 'eerie', words: ['eerie', 'haunt', 'ghost', 'mist', 'fog', 'strange', 'alien'],
+    apply: (p) => { p.detune = 180; p.lfoRate = 0.5; p.hue = 290 } },
+  { category: 'tempo', name: 'slow', words: ['slow', 'drift', 'still', 'lull', 'sleep'],
+    apply: (p) => { p.lfoRate *= 0.5 } },
+  { category: 'tempo', name: 'fast', words: ['fast', 'rush', 'chase', 'frantic', 'racing', 'storm'],
+    apply: (p) => { p.lfoRate = Math.min(4, p.lfoRate * 3) } },
+  { category: 'texture', name: 'rough', words: ['gritty', 'rough', 'metal', 'mechanic', 'industrial', 'distort'],
+    apply: (p) => { p.noiseLevel = 0.35; p.osc1Type = 'sawtooth'; p.osc2Type = 'square' } },
+  { category: 'texture', name: 'airy', words: ['airy', 'wind', 'breath', 'cloud', 'whisper'],
+    apply: (p) => { p.noiseLevel = 0.25; p.cutoff = 3000; p.osc1Type = 'sine' } },
+  { category: 'texture', name: 'watery', words: ['water', 'ocean', 'rain', 'river', 'wave', 'underwater'],
+    apply: (p) => { p.lfoDepth = 900; p.noiseLevel = Math.max(p.noiseLevel, 0.2) } },
+  { category: 'intensity', name: 'intense', words: ['thunder', 'epic', 'massive', 'huge', 'intense', 'explod', 'roar', 'awaken'],
+    apply: (p) => { p.oscLevel = 0.45; p.reverbSize = Math.max(p.reverbSize, 3); p.lfoDepth = Math.max(p.lfoDepth, 900) } },
+  { category: 'intensity', name: 'subtle', words: ['subtle', 'quiet', 'faint', 'distant', 'minimal'],
+    apply: (p) => { p.oscLevel = 0.18; p.noiseLevel *= 0.5 } },
+]
+
+// Baseline parameters from the prompt hash (the original drone's behaviour)
+function baselineParams(prompt) {
+  const hues = [190, 195, 200, 205, 210, 215] // blue-cyan range
+  return {
+    osc1Type: 'sawtooth',
+    osc2Type: 'triangle',
+    baseFreq: 110 + (hashString(prompt) % 220),
+    detune: (hashString(prompt + 'detune') % 200) - 100,
+    cutoff: 800,
+    lfoRate: 0.1 + (hashString(prompt + 'lfo') % 30) / 100, // 0.1 - 0.4 Hz
+    lfoDepth: 600,
+    reverbSize: 2,
+    oscLevel: 0.3,
+    noiseLevel: 0.15,
+    hue: hues[hashString(prompt) % hues.length],
+  }
+}
+
+function clampParams(params) {
+  for (const [key, def] of Object.entries(synthParamDefs)) {
+    if (def.type === 'select') continue
+    const v = Math.min(def.max, Math.max(def.min, params[key]))
+    const decimals = (String(def.step).split('.')[1] || '').length
+    params[key] = Number((Math.round(v / def.step) * def.step).toFixed(decimals))
+  }
+  return params
+}
+
+// Keep the overrides of known parameters that have valid values, e.g. from a link or file
+export function normalizeOverrides(overrides) {
+  const result = {}
+  for (const [key, value] of Object.entries(overrides && typeof overrides === 'object' ? overrides : {})) {
+    const def = synthParamDefs[key]
+    if (!def) continue
+    if (def.type === 'select') {
+      if (def.options.includes(value)) result[key] = value
+    } else if (Number.isFinite(Number(value))) {
+      result[key] = Math.min(def.max, Math.max(def.min, Number(value)))
+    }
+  }
+  return result
+}
+
+// Interpret a prompt. Returns { params, matches } where matches lists the rules that fired
+export function interpretPrompt(prompt) {
+  const text = prompt.toLowerCase()
+  const params = baselineParams(prompt)
+  const matches = []
+  for (const rule of rules) {
+    const word = rule.words.find((w) => text.includes(w))
+    if (!word) continue
+    rule.apply(params)
+    matches.push({ category: rule.category, name: rule.name, word })
+  }
+  return { params: clampParams(params), matches }
+}
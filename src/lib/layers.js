@@ -0,0 +1,181 @@
+// User media drawn under the visual style: images or video clips as a background or as
+// translucent layers, bottom first. A layer is { id, kind: 'image' | 'video', name, blob,
+// fit, opacity, span? }. Images decode anywhere (createImageBitmap); video needs a <video>
+// element, so clips with video layers render on the page instead of the render worker.
+// A layer with a span only shows part of the clip (timeline clips, see timeline.js):
+// span = { start, end, in, out, fadeIn, fadeOut } in seconds, where the media from in to
+// out repeats from start until end, faded in and out with equal-power curves.
+
+export const layerFits = {
+  cover: 'Fill (crop)',
+  contain: 'Fit',
+  stretch: 'Stretch',
+}
+
+// 'audio', 'image', 'video' or null for a file's MIME type
+export function mediaKind(type = '') {
+  const kind = type.split('/')[0]
+  return ['audio', 'image', 'video'].includes(kind) ? kind : null
+}
+
+// The first layer fills the frame as a background; later ones default to a fitted overlay
+export function createLayer(file, index = 0) {
+  return {
+    id: `layer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    kind: mediaKind(file.type),
+    name: file.name || 'layer',
+    blob: file,
+    fit: index === 0 ? 'cover' : 'contain',
+    opacity: index === 0 ? 1 : 0.8,
+  }
+}
+
+// Layer settings without the media, e.g. for comparing inputs or a backend request
+export function layerSettings(layers = []) {
+  return layers.map(({ blob, ...settings }) => settings)
+}
+
+// Envelope of a span at clip time t: 0 outside it, rising to 1 over fadeIn and falling
+// over fadeOut. Equal-power, so two overlapping spans crossfade without a dip in loudness.
+export function spanGain({ start, end, fadeIn, fadeOut }, t) {
+  if (t < start || t >= end) return 0
+  const rise = fadeIn > 0 ? Math.min(1, (t - start) / fadeIn) : 1
+  const fall = fadeOut > 0 ? Math.min(1, (end - t) / fadeOut) : 1
+  return Math.sin((rise * Math.PI) / 2) * Math.sin((fall * Math.PI) / 2)
+}
+
+// Media time shown at clip time t by a span
+export function spanTime({ start, in: from, out }, t) {
+  return from + (Math.max(0, t - start) % (out - from))
+}
+
+export function hasVideoLayers(layers = []) {
+  return layers.some((layer) => layer.kind === 'video')
+}
+
+function waitForEvent(target, event, what) {
+  return new Promise((resolve, reject) => {
+    const fail = () => {
+      target.removeEventListener(event, done)
+      reject(new Error(`Could not decode ${what}`))
+    }
+    const done = () => {
+      target.removeEventListener('error', fail)
+      resolve()
+    }
+    target.addEventListener(event, done, { once: true })
+    target.addEventListener('error', fail, { once: true })
+  })
+}
+
+async function loadImage({ blob }) {
+  const bitmap = await createImageBitmap(blob)
+  return { image: bitmap, width: bitmap.width, height: bitmap.height, close: () => bitmap.close() }
+}
+
+// Length of an audio or video file in seconds, or null when it is an image or unknown
+export async function mediaDuration(blob, kind = mediaKind(blob.type)) {
+  if (kind !== 'audio' && kind !== 'video') return null
+  const media = document.createElement(kind)
+  const url = URL.createObjectURL(blob)
+  media.preload = 'metadata'
+  media.src = url
+  try {
+    await waitForEvent(media, 'loadedmetadata', `"${blob.name || kind}"`)
+    // MediaRecorder files only learn their duration once seeked to the end
+    if (!Number.isFinite(media.duration)) {
+      media.currentTime = 1e101
+      await waitForEvent(media, 'seeked', `"${blob.name || kind}"`)
+    }
+    return Number.isFinite(media.duration) && media.duration > 0 ? media.duration : null
+  } finally {
+    media.removeAttribute('src')
+    media.load()
+    URL.revokeObjectURL(url)
+  }
+}
+
+// A muted, looping <video>: seek(t) shows the frame at t for offline renders, play()
+// runs it along with a real-time recording
+async function loadVideo({ blob, name }) {
+  const video = document.createElement('video')
+  const url = URL.createObjectURL(blob)
+  video.muted = true
+  video.loop = true
+  video.playsInline = true
+  video.preload = 'auto'
+  video.src = url
+  try {
+    await waitForEvent(video, 'loadeddata', `"${name}"`)
+  } catch (e) {
+    URL.revokeObjectURL(url)
+    throw e
+  }
+  // MediaRecorder files may not know their duration; seeking past the end shows the last frame
+  const duration = Number.isFinite(video.duration) && video.duration > 0 ? video.duration : Infinity
+  return {
+    image: video,
+    width: video.videoWidth,
+    height: video.videoHeight,
+    async seek(t) {
+      const target = t % duration
+      if (Math.abs(video.currentTime - target) < 1e-3 && video.readyState >= 2) return
+      video.currentTime = target
+      await waitForEvent(video, 'seeked', `"${name}"`)
+    },
+    play() {
+      video.currentTime = 0
+      return video.play()
+    },
+    close() {
+      video.pause()
+      video.removeAttribute('src')
+      video.load()
+      URL.revokeObjectURL(url)
+    },
+  }
+}
+
+// Decode layers for drawing: [{ image, width, height, fit, opacity, seek?, play?, close }]
+export async function loadLayers(layers = [], signal) {
+  const loaded = []
+  try {
+    for (const layer of layers) {
+      signal?.throwIfAborted()
+      const media = layer.kind === 'video' ? await loadVideo(layer) : await loadImage(layer)
+      loaded.push({ ...media, fit: layer.fit, opacity: layer.opacity, span: layer.span })
+    }
+  } catch (e) {
+    closeLayers(loaded)
+    throw e
+  }
+  return loaded
+}
+
+export function closeLayers(loaded) {
+  loaded.forEach((layer) => layer.close())
+}
+
+// Show the frame of every video layer at clip time t; layers outside their span keep theirs
+export function seekLayers(loaded, t) {
+  return Promise.all(loaded.map((layer) => {
+    if (!layer.span) return layer.seek?.(t)
+    return spanGain(layer.span, t) > 0 ? layer.seek?.(spanTime(layer.span, t)) : null
+  }))
+}
+
+// Draw decoded layers over the whole frame, scaled by their fit
+export function drawLayers(ctx, { width, height, elapsed }, loaded) {
+  for (const { image, width: w, height: h, fit, opacity, span } of loaded) {
+    const alpha = span ? opacity * spanGain(span, elapsed) : opacity
+    if (!w || !h || !alpha) continue
+    ctx.globalAlpha = alpha
+    if (fit === 'stretch') {
+      ctx.drawImage(image, 0, 0, width, height)
+      continue
+    }
+    const scale = fit === 'contain' ? Math.min(width / w, height / h) : Math.max(width / w, height / h)
+    ctx.drawImage(image, (width - w * scale) / 2, (height - h * scale) / 2, w * scale, h * scale)
+  }
+  ctx.globalAlpha = 1
+}
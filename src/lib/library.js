@@ -0,0 +1,90 @@
+// Local generation library persisted in IndexedDB. Each record holds the inputs needed to
+// re-render (prompt, seed, style, params, composition, effects), the generated blobs and a
+// thumbnail. Saved effects-rack presets live in a second store of the same database.
+
+const DB_NAME = 'auralforge'
+const DB_VERSION = 2
+const STORE = 'generations'
+const PRESET_STORE = 'rackPresets'
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = ({ oldVersion }) => {
+        if (oldVersion < 1) {
+          const store = req.result.createObjectStore(STORE, { keyPath: 'id' })
+          store.createIndex('createdAt', 'createdAt')
+        }
+        if (oldVersion < 2) req.result.createObjectStore(PRESET_STORE, { keyPath: 'id' })
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+  }
+  return dbPromise
+}
+
+// Run fn(store) inside a transaction and resolve with the request's result
+async function withStore(mode, fn, storeName = STORE) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const req = fn(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(req?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+export function createGenerationId() {
+  return `gen-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+// Insert or merge fields into a record; timestamps are maintained here
+export async function saveGeneration(id, fields) {
+  const existing = await getGeneration(id)
+  const now = Date.now()
+  const record = { ...existing, ...fields, id, createdAt: existing?.createdAt ?? now, updatedAt: now }
+  await withStore('readwrite', (store) => store.put(record))
+  return record
+}
+
+export function getGeneration(id) {
+  return withStore('readonly', (store) => store.get(id))
+}
+
+// Newest first
+export async function listGenerations() {
+  const all = await withStore('readonly', (store) => store.getAll())
+  return (all || []).sort((a, b) => b.createdAt - a.createdAt)
+}
+
+export function deleteGeneration(id) {
+  return withStore('readwrite', (store) => store.delete(id))
+}
+
+// Effects-rack presets: { id, name, rack, createdAt }, oldest first
+export async function listRackPresets() {
+  const all = await withStore('readonly', (store) => store.getAll(), PRESET_STORE)
+  return (all || []).sort((a, b) => a.createdAt - b.createdAt)
+}
+
+export async function saveRackPreset(name, rack) {
+  const record = { id: `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, name, rack, createdAt: Date.now() }
+  await withStore('readwrite', (store) => store.put(record), PRESET_STORE)
+  return record
+}
+
+export function deleteRackPreset(id) {
+  return withStore('readwrite', (store) => store.delete(id), PRESET_STORE)
+}
+
+// { usage, quota } in bytes, or null where the Storage API is unavailable
+export async function storageEstimate() {
+  if (!navigator.storage?.estimate) return null
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate()
+  return { usage, quota }
+}
@@ -0,0 +1,85 @@
+import { dsp } from './workers'
+import { buildSynthVoice, toAudioBuffer } from './audio'
+
+// Live synth preview: the drone of generateAmbientAudioFromPrompt (see buildSynthVoice)
+// on a real-time AudioContext, so parameter changes are heard as they are made. It plays
+// until stopped, so the noise loops and there are no master fades; composition parts and
+// mastering only exist in the offline render.
+
+const SAMPLE_RATE = 44100 // as the offline render, so the noise and reverb are the same
+const NOISE_SECONDS = 8
+const LEVEL = 0.8 // the offline render's master level
+const GLIDE = 0.03 // time constant of a knob change, in seconds
+
+function impulseResponse(prompt, seed, reverbSize) {
+  return dsp('impulseResponse', { prompt, seed, length: Math.round(SAMPLE_RATE * reverbSize), channels: 2 })
+}
+
+// Start previewing { prompt, seed, params, effects }. Resolves with { update(params),
+// stop() }: update glides the numeric parameters to their new values and swaps in a new
+// reverb when its size changes. Prompt, seed and effects need a new preview.
+export async function startLivePreview({ prompt, seed, params, effects = [] }) {
+  const ctx = new AudioContext({ sampleRate: SAMPLE_RATE })
+  let voice
+  let master
+  try {
+    const [noiseData, irData] = await Promise.all([
+      dsp('noise', { prompt, seed, purpose: 'noise', length: NOISE_SECONDS * SAMPLE_RATE, amplitude: 0.02 }),
+      impulseResponse(prompt, seed, params.reverbSize),
+    ])
+    voice = buildSynthVoice(ctx, params, { noiseBuffer: toAudioBuffer(ctx, [noiseData]), ir: toAudioBuffer(ctx, irData), effects })
+    voice.noise.loop = true
+    master = ctx.createGain()
+    master.gain.setValueAtTime(0, ctx.currentTime)
+    master.gain.linearRampToValueAtTime(LEVEL, ctx.currentTime + 0.2)
+    voice.output.connect(master)
+    master.connect(ctx.destination)
+    voice.sources.forEach((source) => source.start())
+    await ctx.resume()
+  } catch (e) {
+    ctx.close()
+    throw e
+  }
+
+  let current = params
+  let reverbRequest = 0
+
+  // Replace the convolver; only the latest of overlapping size changes is applied
+  const swapReverb = async (reverbSize) => {
+    const request = ++reverbRequest
+    const ir = await impulseResponse(prompt, seed, reverbSize)
+    if (request !== reverbRequest || ctx.state === 'closed') return
+    const reverb = ctx.createConvolver()
+    reverb.buffer = toAudioBuffer(ctx, ir)
+    voice.mix.connect(reverb)
+    reverb.connect(voice.rack.input)
+    voice.mix.disconnect(voice.reverb)
+    voice.reverb.disconnect()
+    voice.reverb = reverb
+  }
+
+  return {
+    update(next) {
+      const glide = (param, value) => param.setTargetAtTime(value, ctx.currentTime, GLIDE)
+      voice.osc1.type = next.osc1Type
+      voice.osc2.type = next.osc2Type
+      glide(voice.osc1.frequency, next.baseFreq)
+      glide(voice.osc2.frequency, next.baseFreq / 2)
+      glide(voice.osc1.detune, next.detune)
+      glide(voice.osc2.detune, -next.detune)
+      glide(voice.filter.frequency, next.cutoff)
+      glide(voice.lfo.frequency, next.lfoRate)
+      glide(voice.lfoGain.gain, next.lfoDepth)
+      glide(voice.oscGain.gain, next.oscLevel)
+      glide(voice.noiseGain.gain, next.noiseLevel)
+      if (next.reverbSize !== current.reverbSize) swapReverb(next.reverbSize).catch((e) => console.error('Reverb update failed', e))
+      current = next
+    },
+    // Fade out briefly so stopping does not click
+    stop() {
+      if (ctx.state === 'closed') return
+      master.gain.setTargetAtTime(0, ctx.currentTime, GLIDE)
+      setTimeout(() => ctx.close(), 200)
+    },
+  }
+}
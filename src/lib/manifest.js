@@ -0,0 +1,132 @@
+import { version } from '../../package.json'
+import { interpretPrompt, normalizeOverrides } from './interpreter'
+import { normalizeComposition } from './composition'
+import { normalizeRack } from './effects'
+import { normalizeMastering } from './mastering'
+import { normalizeCaptions } from './captions'
+import { CLASSIC_PALETTE, normalizePalette } from './palette'
+import { normalizeSettings } from './settings'
+import { normalizeSeed } from './random'
+import { resolveStyle, visualStyles } from './visuals'
+
+// Provenance manifest: a JSON sidecar written next to an export that records how the file
+// was made (generator inputs, app version, codecs, timestamps), and can be imported to
+// rebuild those inputs. Shape of schema version 1:
+//
+//   { schema, version, app: { name, version },
+//     asset: { fileName, format, mimeType, bytes, encoding, startedAt, finishedAt },
+//     environment: { userAgent, provider },
+//     generator: { prompt, seed, style, resolvedStyle, params, overrides, composition,
+//                  effects, mastering, captions, palette, settings },
+//     media: { audio: 'generated' | 'imported' | 'timeline' | null, importedAudio, layers } }
+//
+// A timeline render (see timeline.js) records its visual clips as layers with spans; its
+// audio is a mixdown of the audio tracks.
+//
+// params are the final synthesis parameters (interpreter reading plus overrides) and are
+// informational; overrides are what gets restored.
+
+export const MANIFEST_SCHEMA = 'auralforge.manifest'
+export const MANIFEST_VERSION = 2
+
+// Keyed by version n: turn a version-n manifest into version n + 1 (see shareLink.js)
+const upgrades = {
+  // v2 added palettes; v1 assets were made with light cyan captions and the classic colours
+  1: (manifest) => ({
+    ...manifest,
+    version: 2,
+    generator: {
+      ...manifest.generator,
+      captions: { color: '#c7f0ff', ...manifest.generator.captions },
+      palette: CLASSIC_PALETTE,
+    },
+  }),
+}
+
+// Build the manifest for an exported file. generator is the App's inputs (as for share
+// links); export is { fileName, format, blob, encoding, startedAt, finishedAt } with Dates.
+export function buildManifest(generator, { fileName, format, blob, encoding, startedAt, finishedAt }, media = {}) {
+  const { prompt, seed, style, overrides, composition, effects, mastering, captions, palette, settings, provider } = generator
+  return {
+    schema: MANIFEST_SCHEMA,
+    version: MANIFEST_VERSION,
+    app: { name: 'AuralForge', version },
+    asset: {
+      fileName,
+      format,
+      mimeType: blob.type || null,
+      bytes: blob.size,
+      encoding,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+    },
+    environment: { userAgent: globalThis.navigator?.userAgent ?? null, provider },
+    generator: {
+      prompt,
+      seed,
+      style,
+      resolvedStyle: resolveStyle(style, prompt),
+      params: { ...interpretPrompt(prompt).params, ...overrides },
+      overrides,
+      composition,
+      effects: effects.map(({ id, ...fx }) => fx),
+      mastering,
+      captions: { ...captions, segments: captions.segments.map(({ id, ...segment }) => segment) },
+      palette: normalizePalette(palette),
+      settings: normalizeSettings(settings),
+    },
+    media: {
+      audio: media.audio ?? null,
+      importedAudio: media.importedAudio ?? null,
+      layers: media.layers ?? [],
+    },
+  }
+}
+
+export function manifestBlob(manifest) {
+  return new Blob([JSON.stringify(manifest, null, 2) + '\n'], { type: 'application/json' })
+}
+
+export function manifestFileName(baseName) {
+  return `${baseName}.manifest.json`
+}
+
+// Read a manifest file's text. Returns { manifest, state, missingMedia, newer }: state holds
+// the normalised App inputs; missingMedia lists media the manifest refers to but does not
+// contain (imported audio and layers), which the user has to supply again. Throws when the
+// text is not a manifest.
+export function parseManifest(text) {
+  let manifest
+  try {
+    manifest = JSON.parse(text)
+  } catch {
+    throw new Error('The file is not valid JSON.')
+  }
+  if (manifest?.schema !== MANIFEST_SCHEMA || typeof manifest.generator?.prompt !== 'string') {
+    throw new Error('The file is not an AuralForge manifest.')
+  }
+  const from = Math.floor(Number(manifest.version)) || 1
+  for (let v = from; v < MANIFEST_VERSION; v++) manifest = upgrades[v]?.(manifest) ?? manifest
+
+  const g = manifest.generator
+  const state = {
+    prompt: g.prompt,
+    seed: normalizeSeed(g.seed),
+    style: g.style in visualStyles ? g.style : 'auto',
+    overrides: normalizeOverrides(g.overrides),
+    composition: normalizeComposition(g.composition),
+    effects: normalizeRack((Array.isArray(g.effects) ? g.effects : []).map((fx, i) => ({ ...fx, id: `fx-manifest-${i}` }))),
+    mastering: normalizeMastering(g.mastering ?? { enabled: false }),
+    captions: normalizeCaptions(g.captions),
+    palette: normalizePalette(g.palette),
+    settings: normalizeSettings(g.settings),
+    provider: manifest.environment?.provider,
+  }
+  const media = manifest.media ?? {}
+  const missingMedia = [
+    ...(media.audio === 'imported' && media.importedAudio ? [media.importedAudio] : []),
+    ...(media.audio === 'timeline' ? ['the timeline audio tracks'] : []),
+    ...(Array.isArray(media.layers) ? media.layers.map((l) => l.name).filter(Boolean) : []),
+  ]
+  return { manifest, state, missingMedia, newer: from > MANIFEST_VERSION }
+}
@@ -0,0 +1,199 @@
+// Mastering: integrated loudness (ITU-R BS.1770-4 / EBU R128), true-peak measurement
+// by 4× oversampling, loudness normalisation and a look-ahead true-peak limiter. Works on
+// plain { channels, sampleRate } data so it runs in dsp.worker.js.
+
+export const loudnessTargets = {
+  '-14': 'Streaming (−14 LUFS)',
+  '-16': 'Podcast (−16 LUFS)',
+  '-23': 'Broadcast, EBU R128 (−23 LUFS)',
+}
+
+export const DEFAULT_MASTERING = { enabled: true, targetLufs: -14, ceiling: -1 }
+
+export const MASTERING_LIMITS = {
+  targetLufs: { min: -30, max: -6 },
+  ceiling: { min: -6, max: 0 },
+}
+
+// Largest boost normalisation may apply, so near-silence is not pumped up to the target
+const MAX_GAIN_DB = 24
+
+const clamp = (v, { min, max }) => Math.min(max, Math.max(min, v))
+
+export function normalizeMastering(mastering = {}) {
+  const m = { ...DEFAULT_MASTERING, ...mastering }
+  return {
+    enabled: !!m.enabled,
+    targetLufs: clamp(Number(m.targetLufs) || DEFAULT_MASTERING.targetLufs, MASTERING_LIMITS.targetLufs),
+    ceiling: clamp(Number.isFinite(Number(m.ceiling)) ? Number(m.ceiling) : DEFAULT_MASTERING.ceiling, MASTERING_LIMITS.ceiling),
+  }
+}
+
+const toDb = (gain) => 20 * Math.log10(gain)
+const fromDb = (db) => Math.pow(10, db / 20)
+
+// K-weighting as two biquads (high shelf, then RLB high-pass), with coefficients derived
+// for any sample rate as in libebur128
+function kWeightingFilters(sampleRate) {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate)
+  let Q = 0.7071752369554196
+  const Vh = Math.pow(10, 3.999843853973347 / 20)
+  const Vb = Math.pow(Vh, 0.4996667741545416)
+  let a0 = 1 + K / Q + K * K
+  const shelf = {
+    b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  }
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate)
+  Q = 0.5003270373238773
+  a0 = 1 + K / Q + K * K
+  const highpass = { b: [1, -2, 1], a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0] }
+  return [shelf, highpass]
+}
+
+function biquad(input, { b, a }) {
+  const out = new Float64Array(input.length)
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i]
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2
+    x2 = x1; x1 = x
+    y2 = y1; y1 = y
+    out[i] = y
+  }
+  return out
+}
+
+// Integrated loudness in LUFS: 400 ms blocks every 100 ms, gated at −70 LUFS absolute
+// and 10 LU below the ungated mean. -Infinity for silence or audio under 400 ms.
+export function integratedLoudness({ channels, sampleRate }) {
+  const [shelf, highpass] = kWeightingFilters(sampleRate)
+  const step = Math.round(sampleRate * 0.1)
+  const steps = Math.floor(channels[0].length / step)
+  // Mean square per 100 ms step, summed over channels (all weighted 1 for mono/stereo)
+  const power = new Float64Array(steps)
+  for (const channel of channels) {
+    const weighted = biquad(biquad(channel, shelf), highpass)
+    for (let s = 0; s < steps; s++) {
+      let sum = 0
+      for (let i = s * step; i < (s + 1) * step; i++) sum += weighted[i] * weighted[i]
+      power[s] += sum / step
+    }
+  }
+  const blocks = []
+  for (let s = 0; s + 4 <= steps; s++) {
+    blocks.push((power[s] + power[s + 1] + power[s + 2] + power[s + 3]) / 4)
+  }
+  const loudness = (p) => -0.691 + 10 * Math.log10(p)
+  const mean = (list) => list.reduce((a, b) => a + b, 0) / list.length
+  const absolute = blocks.filter((p) => loudness(p) > -70)
+  if (!absolute.length) return -Infinity
+  const relativeGate = loudness(mean(absolute)) - 10
+  const gated = absolute.filter((p) => loudness(p) > relativeGate)
+  return loudness(mean(gated))
+}
+
+// Windowed-sinc interpolators for the three in-between positions of 4× oversampling
+const TAPS = 8 // per side
+const interpolators = [1, 2, 3].map((phase) => {
+  const coeffs = new Float64Array(TAPS * 2)
+  for (let k = -TAPS + 1; k <= TAPS; k++) {
+    const t = k - phase / 4
+    const sinc = Math.sin(Math.PI * t) / (Math.PI * t)
+    const window = 0.5 * (1 + Math.cos((Math.PI * t) / (TAPS + 1)))
+    coeffs[k + TAPS - 1] = sinc * window
+  }
+  return coeffs
+})
+
+// Per sample, the largest absolute value across channels at that sample and at the three
+// oversampled points after it, i.e. the true peak of each sample interval
+function truePeakEnvelope(channels) {
+  const length = channels[0].length
+  const peaks = new Float32Array(length)
+  for (const x of channels) {
+    for (let n = 0; n < length; n++) {
+      let peak = Math.abs(x[n])
+      for (const coeffs of interpolators) {
+        let v = 0
+        for (let k = -TAPS + 1; k <= TAPS; k++) {
+          const i = n + k
+          if (i >= 0 && i < length) v += x[i] * coeffs[k + TAPS - 1]
+        }
+        if (Math.abs(v) > peak) peak = Math.abs(v)
+      }
+      if (peak > peaks[n]) peaks[n] = peak
+    }
+  }
+  return peaks
+}
+
+// True peak in dBTP
+export function truePeak({ channels }) {
+  const peaks = truePeakEnvelope(channels)
+  let max = 0
+  for (let i = 0; i < peaks.length; i++) if (peaks[i] > max) max = peaks[i]
+  return toDb(max)
+}
+
+// Look-ahead limiter holding the true peak at ceiling dBTP, applied in place. The gain
+// starts ramping down `lookahead` seconds before each overshoot and recovers with a
+// `release` time constant; both channels share one gain so the stereo image holds.
+export function limitTruePeak({ channels, sampleRate }, ceiling = -1, { lookahead = 0.005, release = 0.08 } = {}) {
+  const limit = fromDb(ceiling)
+  const peaks = truePeakEnvelope(channels)
+  const length = peaks.length
+  const span = Math.max(1, Math.round(lookahead * sampleRate))
+
+  // Gain each sample needs, then the minimum over the next `span` samples (monotonic deque)
+  const ahead = new Float32Array(length)
+  const queue = new Int32Array(length)
+  let head = 0
+  let tail = 0
+  const need = (i) => (peaks[i] > limit ? limit / peaks[i] : 1)
+  for (let n = length - 1; n >= 0; n--) {
+    while (tail > head && need(queue[tail - 1]) >= need(n)) tail--
+    queue[tail++] = n
+    while (queue[head] > n + span) head++
+    ahead[n] = need(queue[head])
+  }
+
+  // Averaging over the previous span + 1 samples turns steps into ramps that still reach
+  // each peak's gain in time; then a one-pole release for gain increases
+  const recover = 1 - Math.exp(-1 / (release * sampleRate))
+  let sum = ahead[0] * (span + 1)
+  let gain = 1
+  for (let n = 0; n < length; n++) {
+    sum += ahead[n] - (n - span - 1 >= 0 ? ahead[n - span - 1] : ahead[0])
+    const target = sum / (span + 1)
+    gain = target < gain ? target : gain + (target - gain) * recover
+    for (const channel of channels) channel[n] *= gain
+  }
+  return { channels, sampleRate }
+}
+
+// Loudness and peak readings for display
+export function measureLoudness(audio) {
+  return { integrated: integratedLoudness(audio), truePeak: truePeak(audio) }
+}
+
+// Normalise { channels, sampleRate } to targetLufs and limit to ceiling dBTP. The channels
+// are modified in place and returned with a report { inputLufs, outputLufs, gainDb, truePeak }.
+export function master({ channels, sampleRate, targetLufs = DEFAULT_MASTERING.targetLufs, ceiling = DEFAULT_MASTERING.ceiling }) {
+  const audio = { channels, sampleRate }
+  const inputLufs = integratedLoudness(audio)
+  const gainDb = Number.isFinite(inputLufs) ? Math.min(MAX_GAIN_DB, targetLufs - inputLufs) : 0
+  const gain = fromDb(gainDb)
+  for (const channel of audio.channels) {
+    for (let i = 0; i < channel.length; i++) channel[i] *= gain
+  }
+  // Interpolation can leave the odd overshoot of a few hundredths of a dB; a second pass
+  // catches it
+  limitTruePeak(audio, ceiling)
+  if (truePeak(audio) > ceiling + 0.01) limitTruePeak(audio, ceiling)
+  return {
+    channels: audio.channels,
+    sampleRate: audio.sampleRate,
+    report: { inputLufs, outputLufs: integratedLoudness(audio), gainDb, truePeak: truePeak(audio) },
+  }
+}
@@ -0,0 +1,207 @@
+import { Muxer as WebmMuxer, ArrayBufferTarget as WebmTarget } from 'webm-muxer'
+import { Muxer as Mp4Muxer, ArrayBufferTarget as Mp4Target } from 'mp4-muxer'
+import { createYielder } from './progress'
+
+// Deterministic offline renderer: steps through frames at exact timestamps, encodes them
+// with WebCodecs and muxes them (plus optional audio) into WebM or MP4. Unlike
+// canvas.captureStream this never drops frames and runs as fast as the encoder allows.
+
+const OPUS_SAMPLE_RATE = 48000
+const AUDIO_CHUNK_FRAMES = 4800
+const MAX_QUEUE = 8
+
+// Per-container codec choices; candidates are tried in order
+const containers = {
+  webm: {
+    mime: 'video/webm',
+    video: [{ codec: 'vp09.00.10.08', mux: 'V_VP9' }, { codec: 'vp8', mux: 'V_VP8' }],
+    audio: [{ codec: 'opus', mux: 'A_OPUS' }],
+    createMuxer: (options) => {
+      const target = new WebmTarget()
+      return { target, muxer: new WebmMuxer({ target, ...options }) }
+    },
+  },
+  mp4: {
+    mime: 'video/mp4',
+    video: [
+      { codec: 'avc1.4d0028', mux: 'avc', config: { avc: { format: 'avc' } } },
+      { codec: 'avc1.640033', mux: 'avc', config: { avc: { format: 'avc' } } }, // High 5.1 for > 1080p
+      { codec: 'vp09.00.10.08', mux: 'vp9' },
+    ],
+    audio: [{ codec: 'mp4a.40.2', mux: 'aac' }, { codec: 'opus', mux: 'opus' }],
+    createMuxer: (options) => {
+      const target = new Mp4Target()
+      return { target, muxer: new Mp4Muxer({ target, fastStart: 'in-memory', ...options }) }
+    },
+  },
+}
+
+export function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height)
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+// Keep the encoder queue short so frames are not all held in memory at once
+async function drain(encoder) {
+  while (encoder.encodeQueueSize > MAX_QUEUE) {
+    await new Promise((r) => setTimeout(r, 0))
+  }
+}
+
+// Opus only runs at 48 kHz; resample through an OfflineAudioContext when needed
+export async function resample(buffer, sampleRate) {
+  if (buffer.sampleRate === sampleRate) return buffer
+  const length = Math.ceil(buffer.duration * sampleRate)
+  const offline = new OfflineAudioContext(buffer.numberOfChannels, length, sampleRate)
+  const src = offline.createBufferSource()
+  src.buffer = buffer
+  src.connect(offline.destination)
+  src.start(0)
+  return offline.startRendering()
+}
+
+async function pickVideoCodec(candidates, { width, height, bitrate, framerate }) {
+  if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') return null
+  for (const c of candidates) {
+    const config = { codec: c.codec, width, height, bitrate, framerate, ...c.config }
+    const { supported } = await VideoEncoder.isConfigSupported(config).catch(() => ({ supported: false }))
+    if (supported) return { ...c, config }
+  }
+  return null
+}
+
+async function pickAudioCodec(candidates, numberOfChannels, bitrate) {
+  if (typeof AudioEncoder === 'undefined') return null
+  for (const c of candidates) {
+    const config = { codec: c.codec, sampleRate: OPUS_SAMPLE_RATE, numberOfChannels, bitrate }
+    const { supported } = await AudioEncoder.isConfigSupported(config).catch(() => ({ supported: false }))
+    if (supported) return { ...c, config }
+  }
+  return null
+}
+
+// Which WebCodecs codecs a container would use at this size and these bitrates, the same
+// choice renderOffline makes: { video, audio } codec strings, null where nothing is
+// supported (see capabilities.js)
+export async function probeContainer(container, { width = 720, height = 1280, fps = 30, videoBitrate = 6_000_000, audioBitrate = 128_000, channels = 2 } = {}) {
+  const spec = containers[container]
+  const video = await pickVideoCodec(spec.video, { width, height, bitrate: videoBitrate, framerate: fps })
+  const audio = await pickAudioCodec(spec.audio, channels, audioBitrate)
+  return { video: video?.codec ?? null, audio: audio?.codec ?? null }
+}
+
+async function encodeAudio(audio, config, muxer, signal, onProgress) {
+  const channels = audio.numberOfChannels
+  let error = null
+  const encoder = new AudioEncoder({
+    output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+    error: (e) => { error = e },
+  })
+  encoder.configure(config)
+
+  try {
+    for (let start = 0; start < audio.length; start += AUDIO_CHUNK_FRAMES) {
+      const frames = Math.min(AUDIO_CHUNK_FRAMES, audio.length - start)
+      const planar = new Float32Array(frames * channels)
+      for (let ch = 0; ch < channels; ch++) {
+        planar.set(audio.getChannelData(ch).subarray(start, start + frames), ch * frames)
+      }
+      const data = new AudioData({
+        format: 'f32-planar',
+        sampleRate: OPUS_SAMPLE_RATE,
+        numberOfFrames: frames,
+        numberOfChannels: channels,
+        timestamp: Math.round((start / OPUS_SAMPLE_RATE) * 1e6),
+        data: planar,
+      })
+      encoder.encode(data)
+      data.close()
+      await drain(encoder)
+      if (error) throw error
+      signal?.throwIfAborted()
+      onProgress?.({ phase: 'Encoding audio', progress: (start + frames) / audio.length })
+    }
+    await encoder.flush()
+  } finally {
+    if (encoder.state !== 'closed') encoder.close()
+  }
+  if (error) throw error
+}
+
+// Step through exactly Math.round(duration * fps) frames, yielding the canvas after each
+// draw. prepareFrame(seconds), if given, is awaited before each draw (e.g. to seek video
+// layers). Stops with an AbortError once signal is aborted.
+export async function* renderFrames({ width, height, fps, duration, drawFrame, prepareFrame, signal }) {
+  const frameCount = Math.round(duration * fps)
+  const canvas = createCanvas(width, height)
+  const ctx = canvas.getContext('2d')
+  const yieldToPage = createYielder(signal)
+  for (let i = 0; i < frameCount; i++) {
+    await yieldToPage()
+    if (prepareFrame) await prepareFrame(i / fps)
+    drawFrame(ctx, i / fps)
+    yield { canvas, ctx, index: i, frameCount }
+  }
+}
+
+// Render a clip to a video file. drawFrame(ctx, seconds) paints one frame (see renderFrames
+// for prepareFrame). Reports
+// encoded frames through onProgress and can be cancelled with signal (see progress.js).
+export async function renderOffline({
+  width, height, fps, duration, drawFrame, prepareFrame,
+  audioBuffer = null,
+  container = 'webm',
+  videoBitrate = 6_000_000,
+  audioBitrate = 128_000,
+  signal,
+  onProgress,
+}) {
+  const spec = containers[container]
+  if (!spec) throw new Error(`Unknown container: ${container}`)
+
+  const videoCodec = await pickVideoCodec(spec.video, { width, height, bitrate: videoBitrate, framerate: fps })
+  if (!videoCodec) throw new Error(`This browser cannot encode ${container.toUpperCase()} video at ${width}×${height}`)
+  const audio = audioBuffer ? await resample(audioBuffer, OPUS_SAMPLE_RATE) : null
+  const audioCodec = audio ? await pickAudioCodec(spec.audio, audio.numberOfChannels, audioBitrate) : null
+  if (audio && !audioCodec) throw new Error(`This browser cannot encode audio for ${container.toUpperCase()}`)
+
+  const { target, muxer } = spec.createMuxer({
+    video: { codec: videoCodec.mux, width, height, frameRate: fps },
+    audio: audio ? { codec: audioCodec.mux, numberOfChannels: audio.numberOfChannels, sampleRate: OPUS_SAMPLE_RATE } : undefined,
+  })
+
+  let error = null
+  let encoded = 0
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => {
+      muxer.addVideoChunk(chunk, meta)
+      encoded++
+    },
+    error: (e) => { error = e },
+  })
+  encoder.configure(videoCodec.config)
+
+  const frameDuration = 1e6 / fps
+  try {
+    for await (const { canvas, index, frameCount } of renderFrames({ width, height, fps, duration, drawFrame, prepareFrame, signal })) {
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(index * frameDuration), duration: Math.round(frameDuration) })
+      encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 })
+      frame.close()
+      await drain(encoder)
+      if (error) throw error
+      onProgress?.({ phase: 'Rendering video', progress: (index + 1) / frameCount, frames: encoded, totalFrames: frameCount })
+    }
+    await encoder.flush()
+  } finally {
+    if (encoder.state !== 'closed') encoder.close()
+  }
+  if (error) throw error
+
+  if (audio) await encodeAudio(audio, audioCodec.config, muxer, signal, onProgress)
+
+  muxer.finalize()
+  return new Blob([target.buffer], { type: spec.mime })
+}
@@ -0,0 +1,142 @@
+// Ogg Opus encoder: WebCodecs AudioEncoder produces raw Opus packets, this file wraps
+// them in Ogg pages (RFC 3533) with the OpusHead/OpusTags headers from RFC 7845.
+
+const OPUS_RATE = 48000
+const PRE_SKIP = 312 // libopus encoder lookahead at 48 kHz
+const VENDOR = 'AuralForge'
+const SERIAL = 0x41464f52 // fixed so identical audio gives identical files
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let i = 0; i < 256; i++) {
+    let r = i << 24
+    for (let j = 0; j < 8; j++) r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1
+    table[i] = r >>> 0
+  }
+  return table
+})()
+
+function oggCrc(bytes) {
+  let crc = 0
+  for (let i = 0; i < bytes.length; i++) crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0
+  return crc
+}
+
+// One packet per page keeps granule bookkeeping trivial; Opus packets are far below the 64 KB page limit
+function oggPage(packet, { serial, sequence, granule, headerType }) {
+  const lacing = []
+  let remaining = packet.length
+  while (remaining >= 255) {
+    lacing.push(255)
+    remaining -= 255
+  }
+  lacing.push(remaining)
+
+  const page = new Uint8Array(27 + lacing.length + packet.length)
+  const view = new DataView(page.buffer)
+  page.set([0x4f, 0x67, 0x67, 0x53]) // OggS
+  view.setUint8(4, 0)
+  view.setUint8(5, headerType)
+  view.setUint32(6, granule % 0x100000000, true)
+  view.setUint32(10, Math.floor(granule / 0x100000000), true)
+  view.setUint32(14, serial, true)
+  view.setUint32(18, sequence, true)
+  view.setUint32(22, 0, true)
+  view.setUint8(26, lacing.length)
+  page.set(lacing, 27)
+  page.set(packet, 27 + lacing.length)
+  view.setUint32(22, oggCrc(page), true)
+  return page
+}
+
+function opusHead(channels, inputRate) {
+  const head = new Uint8Array(19)
+  const view = new DataView(head.buffer)
+  head.set(new TextEncoder().encode('OpusHead'))
+  view.setUint8(8, 1)
+  view.setUint8(9, channels)
+  view.setUint16(10, PRE_SKIP, true)
+  view.setUint32(12, inputRate, true)
+  view.setInt16(16, 0, true)
+  view.setUint8(18, 0) // mapping family 0: mono/stereo
+  return head
+}
+
+function opusTags(comments = {}) {
+  const enc = new TextEncoder()
+  const vendor = enc.encode(VENDOR)
+  const entries = Object.entries(comments).map(([k, v]) => enc.encode(`${k.toUpperCase()}=${v}`))
+  const size = 8 + 4 + vendor.length + 4 + entries.reduce((n, e) => n + 4 + e.length, 0)
+  const tags = new Uint8Array(size)
+  const view = new DataView(tags.buffer)
+  tags.set(enc.encode('OpusTags'))
+  let o = 8
+  view.setUint32(o, vendor.length, true); o += 4
+  tags.set(vendor, o); o += vendor.length
+  view.setUint32(o, entries.length, true); o += 4
+  for (const e of entries) {
+    view.setUint32(o, e.length, true); o += 4
+    tags.set(e, o); o += e.length
+  }
+  return tags
+}
+
+// Encode an AudioBuffer (48 kHz, mono or stereo) to an Ogg Opus blob; signal aborts between
+// encoder chunks
+export async function encodeOggOpus(buffer, { bitrate = 128000, comments, signal } = {}) {
+  if (buffer.sampleRate !== OPUS_RATE) throw new Error(`Ogg Opus needs ${OPUS_RATE} Hz audio, got ${buffer.sampleRate} Hz`)
+  const channels = Math.min(2, buffer.numberOfChannels)
+  const packets = []
+  let error = null
+  const encoder = new AudioEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength)
+      chunk.copyTo(data)
+      packets.push({ data, samples: Math.round(((chunk.duration ?? 20000) * OPUS_RATE) / 1e6) })
+    },
+    error: (e) => { error = e },
+  })
+  encoder.configure({ codec: 'opus', sampleRate: OPUS_RATE, numberOfChannels: channels, bitrate })
+
+  const block = 4800
+  try {
+    for (let start = 0; start < buffer.length; start += block) {
+      signal?.throwIfAborted()
+      const frames = Math.min(block, buffer.length - start)
+      const planar = new Float32Array(frames * channels)
+      for (let ch = 0; ch < channels; ch++) {
+        planar.set(buffer.getChannelData(ch).subarray(start, start + frames), ch * frames)
+      }
+      const data = new AudioData({
+        format: 'f32-planar',
+        sampleRate: OPUS_RATE,
+        numberOfFrames: frames,
+        numberOfChannels: channels,
+        timestamp: Math.round((start / OPUS_RATE) * 1e6),
+        data: planar,
+      })
+      encoder.encode(data)
+      data.close()
+    }
+    await encoder.flush()
+  } finally {
+    if (encoder.state !== 'closed') encoder.close()
+  }
+  signal?.throwIfAborted()
+  if (error) throw error
+
+  const serial = SERIAL
+  const pages = [
+    oggPage(opusHead(channels, buffer.sampleRate), { serial, sequence: 0, granule: 0, headerType: 0x02 }),
+    oggPage(opusTags(comments), { serial, sequence: 1, granule: 0, headerType: 0 }),
+  ]
+  let granule = PRE_SKIP
+  packets.forEach((p, i) => {
+    const last = i === packets.length - 1
+    granule += p.samples
+    // The final granule marks the true end so players trim encoder padding
+    const end = last ? PRE_SKIP + buffer.length : granule
+    pages.push(oggPage(p.data, { serial, sequence: i + 2, granule: end, headerType: last ? 0x04 : 0 }))
+  })
+  return new Blob(pages, { type: 'audio/ogg; codecs=opus' })
+}
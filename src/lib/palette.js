@@ -0,0 +1,162 @@
+import { hashString } from './random'
+
+// Colour schemes for the visuals and the app around them. A scheme is
+// { primary, accent, background: [top, bottom], text }; primary and accent are
+// `hsl(h s% l%)` strings, so the renderer can shift their hues with the audio (see shiftHue
+// in visuals.js). The palette settings { source, preset, custom } pick where it comes from:
+// the prompt (keywords choose the colour harmony and tone, the hash fills in the rest), a
+// named preset, colours picked by hand (custom holds them as #rrggbb), or the classic
+// single-colour look that everything made before palettes used.
+
+const hsl = (h, s, l) => `hsl(${Math.round(((h % 360) + 360) % 360)} ${Math.round(s)}% ${Math.round(l)}%)`
+
+export const palettePresets = {
+  abyss: { label: 'Abyss', scheme: { primary: hsl(195, 90, 50), accent: hsl(215, 85, 62), background: [hsl(216, 33, 3), hsl(220, 49, 8)], text: hsl(196, 100, 89) } },
+  ember: { label: 'Ember', scheme: { primary: hsl(18, 95, 55), accent: hsl(42, 100, 60), background: [hsl(10, 40, 4), hsl(350, 45, 10)], text: hsl(38, 100, 88) } },
+  aurora: { label: 'Aurora', scheme: { primary: hsl(150, 80, 50), accent: hsl(280, 75, 65), background: [hsl(230, 40, 4), hsl(200, 50, 10)], text: hsl(160, 70, 90) } },
+  synthwave: { label: 'Synthwave', scheme: { primary: hsl(315, 90, 60), accent: hsl(185, 95, 55), background: [hsl(260, 50, 5), hsl(290, 55, 12)], text: hsl(300, 100, 92) } },
+  verdant: { label: 'Verdant', scheme: { primary: hsl(110, 60, 50), accent: hsl(60, 80, 60), background: [hsl(140, 35, 4), hsl(120, 30, 10)], text: hsl(90, 60, 88) } },
+  glacier: { label: 'Glacier', scheme: { primary: hsl(200, 60, 75), accent: hsl(180, 50, 85), background: [hsl(210, 30, 8), hsl(205, 35, 16)], text: hsl(200, 40, 96) } },
+  amethyst: { label: 'Amethyst', scheme: { primary: hsl(270, 70, 62), accent: hsl(320, 70, 65), background: [hsl(265, 40, 5), hsl(280, 40, 11)], text: hsl(275, 80, 92) } },
+  noir: { label: 'Noir', scheme: { primary: hsl(0, 0, 85), accent: hsl(0, 80, 55), background: [hsl(0, 0, 3), hsl(0, 0, 9)], text: hsl(0, 0, 95) } },
+}
+
+export const paletteSources = {
+  prompt: 'From the prompt',
+  preset: 'Preset',
+  custom: 'Custom',
+  classic: 'Classic cyan',
+}
+
+// The look before palettes existed: one hashed blue-cyan colour (or the explicit hue) on a
+// fixed dark gradient, with light cyan text. Built exactly as it was so old records, links
+// and manifests render the same.
+export function classicPalette(prompt, hueOverride) {
+  const h = hashString(prompt)
+  const hues = [190, 195, 200, 205, 210, 215]
+  const hue = hueOverride ?? hues[h % hues.length]
+  const color = `hsl(${hue} ${80 + (h % 20)}% ${45 + (h % 10)}%)`
+  return { primary: color, accent: color, background: ['#05070a', '#0b1220'], text: '#c7f0ff' }
+}
+
+// Accent hue offsets from the primary. The first harmony whose words appear in the prompt
+// wins; otherwise the hash picks one.
+const harmonies = [
+  { id: 'complementary', offset: 180, words: ['versus', 'clash', 'duel', 'contrast', 'neon', 'battle', 'war'] },
+  { id: 'triadic', offset: 120, words: ['carnival', 'festival', 'rainbow', 'party', 'playful', 'circus', 'joy'] },
+  { id: 'analogous', offset: 30, words: ['calm', 'serene', 'ocean', 'forest', 'dream', 'mist', 'gentle'] },
+  { id: 'split', offset: 150, words: [] },
+]
+
+// Background lightness (top, bottom) and text lightness by tone
+const tones = [
+  { id: 'dark', words: ['dark', 'grim', 'doom', 'shadow', 'night', 'abyss', 'void', 'lord'], background: [2, 6], text: 82 },
+  { id: 'bright', words: ['bright', 'sun', 'dawn', 'summer', 'happy', 'light', 'glow'], background: [8, 16], text: 95 },
+  { id: 'deep', words: [], background: [4, 10], text: 90 },
+]
+
+// Scheme for a prompt. hueOverride (the interpreter's palette hue, see interpreter.js)
+// sets the primary hue instead of the hash; the primary keeps the hashed saturation and
+// lightness the visuals have always used.
+export function paletteFromPrompt(prompt, hueOverride) {
+  const h = hashString(prompt)
+  const text = prompt.toLowerCase()
+  const hues = [190, 195, 200, 205, 210, 215] // blue-cyan range
+  const hue = hueOverride ?? hues[h % hues.length]
+  const sat = 80 + (h % 20)
+  const light = 45 + (h % 10)
+  const found = (list) => list.find((entry) => entry.words.some((w) => text.includes(w)))
+  const harmony = found(harmonies) ?? harmonies[(h >>> 8) % harmonies.length]
+  const tone = found(tones) ?? tones[tones.length - 1]
+  const accent = hue + harmony.offset
+  return {
+    primary: hsl(hue, sat, light),
+    accent: hsl(accent, sat - 10, light + 10),
+    background: [hsl(hue, 35, tone.background[0]), hsl(accent, 45, tone.background[1])],
+    text: hsl(hue, 70, tone.text),
+  }
+}
+
+// [r, g, b] in 0-255 for an hsl() or #rrggbb colour
+export function colorToRgb(color) {
+  const hex = /^#([0-9a-f]{6})$/i.exec(color)
+  if (hex) return [0, 2, 4].map((i) => parseInt(hex[1].slice(i, i + 2), 16))
+  const m = /^hsl\(\s*([\d.]+)\s+([\d.]+)%\s+([\d.]+)%\s*\)$/.exec(color)
+  if (!m) return [0, 0, 0]
+  const [h, s, l] = [Number(m[1]), Number(m[2]) / 100, Number(m[3]) / 100]
+  const a = s * Math.min(l, 1 - l)
+  const f = (n) => {
+    const k = (n + h / 30) % 12
+    return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))))
+  }
+  return [f(0), f(8), f(4)]
+}
+
+export function colorToHex(color) {
+  return `#${colorToRgb(color).map((v) => v.toString(16).padStart(2, '0')).join('')}`
+}
+
+export function hexToHsl(hex) {
+  const [r, g, b] = colorToRgb(hex).map((v) => v / 255)
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const l = (max + min) / 2
+  const d = max - min
+  if (!d) return hsl(0, 0, l * 100)
+  const s = d / (1 - Math.abs(2 * l - 1))
+  const h = max === r ? ((g - b) / d) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4
+  return hsl(h * 60, s * 100, l * 100)
+}
+
+// A scheme as custom colours, e.g. to start editing from the current preset
+export function customFromScheme({ primary, accent, background, text }) {
+  return { primary: colorToHex(primary), accent: colorToHex(accent), background: background.map(colorToHex), text: colorToHex(text) }
+}
+
+export const DEFAULT_PALETTE = { source: 'prompt', preset: 'abyss', custom: customFromScheme(palettePresets.abyss.scheme) }
+
+// For inputs saved before palettes existed (see restoredPalette in App.jsx and the link and
+// manifest upgrades)
+export const CLASSIC_PALETTE = { ...DEFAULT_PALETTE, source: 'classic' }
+
+const isHex = (v) => /^#[0-9a-f]{6}$/i.test(v)
+
+export function normalizePalette(palette = {}) {
+  const p = { ...DEFAULT_PALETTE, ...palette }
+  const fallback = DEFAULT_PALETTE.custom
+  const c = p.custom && typeof p.custom === 'object' ? p.custom : fallback
+  const background = Array.isArray(c.background) ? c.background : []
+  return {
+    source: p.source in paletteSources ? p.source : DEFAULT_PALETTE.source,
+    preset: p.preset in palettePresets ? p.preset : DEFAULT_PALETTE.preset,
+    custom: {
+      primary: isHex(c.primary) ? c.primary : fallback.primary,
+      accent: isHex(c.accent) ? c.accent : fallback.accent,
+      background: [0, 1].map((i) => (isHex(background[i]) ? background[i] : fallback.background[i])),
+      text: isHex(c.text) ? c.text : fallback.text,
+    },
+  }
+}
+
+// The scheme palette settings stand for; prompt and hue matter for the prompt source only
+export function resolvePalette(palette, prompt, hue) {
+  const p = normalizePalette(palette)
+  if (p.source === 'preset') return palettePresets[p.preset].scheme
+  if (p.source === 'classic') return classicPalette(prompt, hue)
+  if (p.source === 'custom') {
+    const { primary, accent, background, text } = p.custom
+    return { primary: hexToHsl(primary), accent: hexToHsl(accent), background: background.map(hexToHsl), text: hexToHsl(text) }
+  }
+  return paletteFromPrompt(prompt, hue)
+}
+
+// CSS custom properties theming the app (see tailwind.config.js): "r g b" triplets
+export function themeVariables({ primary, accent, background, text }) {
+  const rgb = (color) => colorToRgb(color).join(' ')
+  return {
+    '--theme-primary': rgb(primary),
+    '--theme-accent': rgb(accent),
+    '--theme-background': rgb(background[0]),
+    '--theme-text': rgb(text),
+  }
+}
@@ -0,0 +1,35 @@
+// Progress and cancellation shared by the long-running generators. They accept
+// { signal, onProgress } and call onProgress({ phase, progress, frames?, totalFrames? }),
+// where progress runs 0..1, or is null while it cannot be estimated. An aborted signal
+// makes them reject with the signal's AbortError.
+
+export const isAbortError = (e) => e?.name === 'AbortError'
+
+// Loops that never await real work would block the page; call the returned function
+// every iteration to hand the event loop a turn every interval ms, so progress renders,
+// the Cancel button stays clickable and an abort is noticed.
+export function createYielder(signal, interval = 50) {
+  let last = performance.now()
+  return async () => {
+    if (performance.now() - last > interval) {
+      await new Promise((r) => setTimeout(r, 0))
+      last = performance.now()
+    }
+    signal?.throwIfAborted()
+  }
+}
+
+// Per-frame events would re-render the page hundreds of times a second; pass through
+// phase changes, completion and at most one event per interval
+export function throttleProgress(onProgress, interval = 100) {
+  let last = 0
+  let phase = null
+  return (event) => {
+    const now = performance.now()
+    if (event.phase !== phase || event.progress === 1 || now - last >= interval) {
+      last = now
+      phase = event.phase
+      onProgress(event)
+    }
+  }
+}
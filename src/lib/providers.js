@@ -0,0 +1,119 @@
+// Generator providers. A provider turns a generation request into media blobs:
+//
+//   {
+//     id, label,
+//     generateAudio(request, progress) -> Blob     request: { prompt, seed, params, composition, effects, mastering, seconds, loop }
+//     generateVideo(request, progress) -> Blob     request: { prompt, seed, style, params, palette, seconds, fps, width, height, captions, loop, layers }
+//     mergeAudioVideo(request, progress) -> Blob   request: the video request without seconds, plus audioBlob and animation
+//   }
+//
+// progress = { signal, onProgress } as described in progress.js. layers are the user's
+// media layers (see layers.js); audioBlob may be generated or imported audio, or a
+// timeline mixdown, whose merge has timed layers and may turn the animation off.
+//
+// The local provider runs the procedural generators in the browser. The HTTP provider
+// forwards the same requests to a backend; its wire format is documented in the README.
+
+import { generateAmbientAudioFromPrompt } from './audio'
+import { generateProceduralVideo, renderMergedAV } from './video'
+import { layerSettings } from './layers'
+
+export const localProvider = {
+  id: 'local',
+  label: 'Local (in browser)',
+  runsInBrowser: true, // limited by what this browser supports (see capabilities.js)
+  async generateAudio({ prompt, seed, params, composition, effects, mastering, seconds, loop }, progress) {
+    const { blob } = await generateAmbientAudioFromPrompt(prompt, seconds, seed, params, composition, { effects, mastering, loop, ...progress })
+    return blob
+  },
+  generateVideo({ prompt, seed, style, params, palette, seconds, fps, width, height, captions, loop, layers }, progress) {
+    return generateProceduralVideo(prompt, seconds, fps, width, height, { style, seed, hue: params.hue, palette, captions, loop, layers, ...progress })
+  },
+  mergeAudioVideo({ prompt, seed, style, params, palette, fps, width, height, captions, loop, layers, audioBlob, animation = true }, progress) {
+    return renderMergedAV(prompt, audioBlob, fps, { style, seed, hue: params.hue, palette, width, height, captions, loop, layers, animation, ...progress })
+  },
+}
+
+// Read the error message from a failed response: JSON { detail } or { error }, else the status
+async function responseError(res) {
+  let message = `${res.status} ${res.statusText}`.trim()
+  try {
+    const body = await res.json()
+    message = body.detail || body.error || message
+  } catch {
+    // not JSON; keep the status line
+  }
+  return new Error(`Backend request failed: ${message}`)
+}
+
+// Stream the response body so download progress can be reported when the length is known
+async function readBlob(res, onProgress) {
+  const total = Number(res.headers.get('Content-Length')) || 0
+  if (!res.body || !onProgress) return res.blob()
+  const chunks = []
+  let received = 0
+  const reader = res.body.getReader()
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+    received += value.length
+    onProgress({ phase: 'Downloading', progress: total ? Math.min(1, received / total) : null })
+  }
+  return new Blob(chunks, { type: res.headers.get('Content-Type') || '' })
+}
+
+async function post(url, body, { signal, onProgress } = {}) {
+  onProgress?.({ phase: 'Waiting for backend', progress: null })
+  const res = await fetch(url, {
+    method: 'POST',
+    signal,
+    ...(body instanceof FormData ? { body } : { body: JSON.stringify(body), headers: { 'Content-Type': 'application/json' } }),
+  })
+  if (!res.ok) throw await responseError(res)
+  return readBlob(res, onProgress)
+}
+
+// Multipart body: the JSON request under `request`, then files. Layer media goes in parts
+// named layer0, layer1, ... matching the order of request.layers.
+function multipart(request, layers = [], files = {}) {
+  const form = new FormData()
+  form.append('request', JSON.stringify({ ...request, layers: layerSettings(layers) }))
+  for (const [name, blob] of Object.entries(files)) form.append(name, blob, name)
+  layers.forEach((layer, i) => form.append(`layer${i}`, layer.blob, layer.name))
+  return form
+}
+
+export function createHttpProvider(baseUrl) {
+  const base = baseUrl.replace(/\/+$/, '')
+  return {
+    id: 'http',
+    label: `Backend (${base})`,
+    runsInBrowser: false,
+    generateAudio({ prompt, seed, params, composition, effects, mastering, seconds, loop }, progress) {
+      return post(`${base}/generate/audio`, { prompt, seed, params, composition, effects, mastering, seconds, loop }, progress)
+    },
+    generateVideo({ prompt, seed, style, params, palette, seconds, fps, width, height, captions, loop, layers = [] }, progress) {
+      const request = { prompt, seed, style, params, palette, seconds, fps, width, height, captions, loop }
+      return post(`${base}/generate/video`, layers.length ? multipart(request, layers) : request, progress)
+    },
+    mergeAudioVideo({ prompt, seed, style, params, palette, fps, width, height, captions, loop, layers = [], audioBlob, animation = true }, progress) {
+      const form = multipart({ prompt, seed, style, params, palette, fps, width, height, captions, loop, animation }, layers, { audio: audioBlob })
+      return post(`${base}/generate/merge`, form, progress)
+    },
+  }
+}
+
+// The backend is only offered when VITE_BACKEND_URL is configured (see Test.jsx)
+const backendUrl = import.meta.env.VITE_BACKEND_URL
+
+export const providers = {
+  local: localProvider,
+  ...(backendUrl ? { http: createHttpProvider(backendUrl) } : {}),
+}
+
+export const DEFAULT_PROVIDER = 'local'
+
+export function getProvider(id) {
+  return providers[id] || providers[DEFAULT_PROVIDER]
+}
@@ -0,0 +1,35 @@
+// Simple hash to generate deterministic values from prompt
+export function hashString(str) {
+  let hash = 0
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash << 5) - hash + str.charCodeAt(i)
+    hash |= 0
+  }
+  return Math.abs(hash)
+}
+
+// Seeded PRNG (mulberry32). Returns a function with the same contract as Math.random
+export function createRng(seed) {
+  let a = seed >>> 0
+  return function rng() {
+    a = (a + 0x6d2b79f5) | 0
+    let t = Math.imul(a ^ (a >>> 15), 1 | a)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Independent stream per prompt + seed + purpose, so adding a consumer never shifts another
+export function rngFor(prompt, seed, purpose = '') {
+  return createRng(hashString(`${prompt}|${seed}|${purpose}`))
+}
+
+// Seeds are kept to 32-bit unsigned integers so they survive copy/paste and URLs
+export function normalizeSeed(value) {
+  const n = Math.floor(Number(value))
+  return Number.isFinite(n) ? n >>> 0 : 0
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0
+}
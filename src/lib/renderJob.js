@@ -0,0 +1,100 @@
+import { GIFEncoder, quantize, applyPalette } from 'gifenc'
+import { zipSync } from 'fflate'
+import { createRenderer } from './visuals'
+import { analyzeAudio, audioFromChannels } from './audioAnalysis'
+import { resolvePalette } from './palette'
+import { createCanvas, renderFrames, renderOffline } from './offlineRender'
+import { closeLayers, loadLayers, seekLayers } from './layers'
+import { loadCaptionFont } from './typography'
+
+// Worker-safe clip rendering: builds the frame source from a clip description and encodes
+// it to WebM/MP4 (WebCodecs), GIF or a PNG sequence. Nothing here touches the DOM, so it
+// runs in render.worker.js with an OffscreenCanvas (see workers.js).
+
+// Describe a clip as a frame source that any encoder can consume:
+// { width, height, fps, duration, drawFrame(ctx, seconds), prepareFrame?, play(), close(),
+// audioBuffer }. With audio the clip lasts as long as the audio and reacts to it. With
+// loop the animation (and the audio analysis) repeats seamlessly over the clip.
+// layers are the clip's media layers already decoded with loadLayers; the source owns
+// them from here and releases them in close(). animation: false leaves out the visual style.
+// palette is the palette settings (see palette.js); hue is the prompt palette's hue.
+export function buildClipSource({ prompt, style = 'auto', seed = 0, hue, palette, seconds = 6, fps = 30, width = 720, height = 1280, captions, loop = false, animation = true }, audio = null, layers = []) {
+  const duration = audio ? audio.duration : seconds
+  const draw = createRenderer({ prompt, style, seed, palette: resolvePalette(palette, prompt, hue), width, height, layers, captions, duration, loop, animation })
+  const media = {
+    prepareFrame: layers.some((l) => l.seek) ? (t) => seekLayers(layers, t) : undefined,
+    play: () => layers.forEach((l) => l.play?.()),
+    close: () => closeLayers(layers),
+  }
+  if (!audio) {
+    return { width, height, fps, duration, drawFrame: draw, audioBuffer: null, ...media }
+  }
+  const analysis = analyzeAudio(audio, fps, { loop })
+  return {
+    width, height, fps,
+    duration,
+    audioBuffer: audio,
+    drawFrame: (ctx, t) => draw(ctx, t, analysis.at(t)),
+    ...media,
+  }
+}
+
+async function encodeGif(source, { gifScale, gifFps, gifColors }, { signal, onProgress }) {
+  const width = Math.round(source.width * gifScale)
+  const height = Math.round(source.height * gifScale)
+  const target = createCanvas(width, height)
+  const tctx = target.getContext('2d', { willReadFrequently: true })
+  const gif = GIFEncoder()
+  const delay = Math.round(1000 / gifFps)
+  for await (const { canvas, index, frameCount } of renderFrames({ ...source, fps: gifFps, signal })) {
+    tctx.drawImage(canvas, 0, 0, width, height)
+    const { data } = tctx.getImageData(0, 0, width, height)
+    const palette = quantize(data, gifColors)
+    gif.writeFrame(applyPalette(data, palette), width, height, { palette, delay })
+    onProgress?.({ phase: 'Encoding GIF', progress: (index + 1) / frameCount, frames: index + 1, totalFrames: frameCount })
+  }
+  gif.finish()
+  return new Blob([gif.bytes()], { type: 'image/gif' })
+}
+
+async function canvasToPng(canvas) {
+  const blob = canvas.convertToBlob
+    ? await canvas.convertToBlob({ type: 'image/png' })
+    : await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'))
+  return new Uint8Array(await blob.arrayBuffer())
+}
+
+async function encodePngSequence(source, baseName, { signal, onProgress }) {
+  const files = {}
+  for await (const { canvas, index, frameCount } of renderFrames({ ...source, signal })) {
+    const name = `${baseName}/${baseName}_${String(index).padStart(5, '0')}.png`
+    files[name] = [await canvasToPng(canvas), { level: 0 }] // PNG is already compressed
+    onProgress?.({ phase: 'Encoding PNG frames', progress: (index + 1) / frameCount, frames: index + 1, totalFrames: frameCount })
+  }
+  onProgress?.({ phase: 'Zipping', progress: null })
+  return new Blob([zipSync(files)], { type: 'application/zip' })
+}
+
+// Render a clip description to a file. audio is { sampleRate: 48000, channels } or null;
+// options holds the bitrates and GIF settings of a quality preset plus baseName.
+export async function renderClipJob({ clip, audio, format, options = {} }, progress = {}) {
+  if (clip.layers?.length) progress.onProgress?.({ phase: 'Loading layers', progress: null })
+  const layers = await loadLayers(clip.layers, progress.signal)
+  await loadCaptionFont(clip.captions)
+  if (audio) progress.onProgress?.({ phase: 'Analyzing audio', progress: null })
+  const source = buildClipSource(clip, audio && audioFromChannels(audio), layers)
+  try {
+    progress.signal?.throwIfAborted()
+    if (format === 'gif') return await encodeGif(source, options, progress)
+    if (format === 'png') return await encodePngSequence(source, options.baseName || 'frames', progress)
+    return await renderOffline({
+      ...source,
+      container: format,
+      videoBitrate: options.videoBitrate,
+      audioBitrate: options.audioBitrate,
+      ...progress,
+    })
+  } finally {
+    source.close()
+  }
+}
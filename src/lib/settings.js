@@ -0,0 +1,58 @@
+// Shared output settings used by every generator: durations, frame rate and canvas size.
+
+export const aspectPresets = {
+  '9:16': { label: '9:16 Portrait', w: 9, h: 16 },
+  '16:9': { label: '16:9 Landscape', w: 16, h: 9 },
+  '1:1': { label: '1:1 Square', w: 1, h: 1 },
+  '4:5': { label: '4:5 Feed', w: 4, h: 5 },
+  custom: { label: 'Custom' },
+}
+
+// Short-side resolutions offered for the presets
+export const resolutions = [480, 720, 1080]
+export const frameRates = [24, 25, 30, 60]
+
+export const DEFAULT_SETTINGS = {
+  audioSeconds: 8,
+  videoSeconds: 6,
+  fps: 30,
+  aspect: '9:16',
+  resolution: 720,
+  width: 720, // used when aspect is 'custom'
+  height: 1280,
+  loop: false, // seamless loop: no fades, animation in whole cycles over the clip
+}
+
+export const LIMITS = {
+  seconds: { min: 1, max: 120 },
+  size: { min: 64, max: 3840 },
+}
+
+// Video encoders want even dimensions
+const even = (n) => Math.max(2, Math.round(n / 2) * 2)
+const clamp = (n, { min, max }) => Math.min(max, Math.max(min, Number(n) || min))
+
+// Resolve the canvas size for the chosen aspect preset (or custom size)
+export function canvasSize(settings) {
+  if (settings.aspect === 'custom' || !aspectPresets[settings.aspect]) {
+    return { width: even(clamp(settings.width, LIMITS.size)), height: even(clamp(settings.height, LIMITS.size)) }
+  }
+  const { w, h } = aspectPresets[settings.aspect]
+  const short = settings.resolution
+  return w <= h
+    ? { width: even(short), height: even((short * h) / w) }
+    : { width: even((short * w) / h), height: even(short) }
+}
+
+// Fill in defaults and clamp values, e.g. for settings restored from storage
+export function normalizeSettings(settings = {}) {
+  const s = { ...DEFAULT_SETTINGS, ...settings }
+  return {
+    ...s,
+    audioSeconds: clamp(s.audioSeconds, LIMITS.seconds),
+    videoSeconds: clamp(s.videoSeconds, LIMITS.seconds),
+    fps: frameRates.includes(Number(s.fps)) ? Number(s.fps) : DEFAULT_SETTINGS.fps,
+    resolution: resolutions.includes(Number(s.resolution)) ? Number(s.resolution) : DEFAULT_SETTINGS.resolution,
+    loop: !!s.loop,
+  }
+}
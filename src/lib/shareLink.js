@@ -0,0 +1,129 @@
+import { normalizeOverrides } from './interpreter'
+import { DEFAULT_COMPOSITION, normalizeComposition } from './composition'
+import { normalizeRack } from './effects'
+import { DEFAULT_MASTERING, normalizeMastering } from './mastering'
+import { DEFAULT_CAPTIONS, normalizeCaptions } from './captions'
+import { CLASSIC_PALETTE, DEFAULT_PALETTE, normalizePalette } from './palette'
+import { DEFAULT_SETTINGS, normalizeSettings } from './settings'
+import { normalizeSeed } from './random'
+import { visualStyles } from './visuals'
+
+// Deep links: the generator's inputs as a query string, e.g. /?v=2&prompt=Dark+tide&seed=42.
+// Only values that differ from the defaults are written, so links stay short and pick up
+// new defaults. Media (imported audio and layers) cannot travel in a link.
+//
+// v is the link format version. Before reading, a link is upgraded one version at a time
+// (see upgrades), so links made by older builds keep opening after parameters are added,
+// renamed or change meaning.
+
+export const LINK_VERSION = 2
+
+// Keyed by version n: rewrite a version-n URLSearchParams in place into version n + 1.
+// Adding a parameter with a default needs no entry; renaming or reinterpreting one does.
+const upgrades = {
+  // v2 added palettes, and captions without a colour take the palette's text colour. A v1
+  // link had light cyan captions unless it said otherwise, and the classic colours.
+  1(q) {
+    const captions = parseJson(q.get('captions')) ?? {}
+    q.set('captions', JSON.stringify({ color: '#c7f0ff', ...captions }))
+    q.set('palette', JSON.stringify(changed(CLASSIC_PALETTE, DEFAULT_PALETTE)))
+  },
+}
+
+// Scalar settings and their query keys
+const settingKeys = {
+  audioSeconds: 'audio',
+  videoSeconds: 'video',
+  fps: 'fps',
+  aspect: 'aspect',
+  resolution: 'res',
+}
+
+// The entries of an object that differ from its defaults; readers merge them back
+function changed(value, defaults) {
+  return Object.fromEntries(Object.entries(value).filter(([key, v]) => JSON.stringify(v) !== JSON.stringify(defaults[key])))
+}
+
+function setJson(q, name, value) {
+  if (Object.keys(value).length) q.set(name, JSON.stringify(value))
+}
+
+function parseJson(value) {
+  if (value == null) return undefined
+  try {
+    return JSON.parse(value)
+  } catch {
+    return undefined
+  }
+}
+
+// Query string (without "?") for the given generator state; render asks the app to
+// render audio and the merged preview as soon as the link opens
+export function encodeShareLink({ prompt, seed, style, overrides, composition, effects, mastering, captions, palette = DEFAULT_PALETTE, settings, provider }, { render = false } = {}) {
+  const q = new URLSearchParams({ v: String(LINK_VERSION), prompt, seed: String(seed) })
+  if (style && style !== 'auto') q.set('style', style)
+
+  // The palette hue gets its own key; it is the parameter most often tweaked by hand
+  const { hue, ...params } = overrides
+  if (hue !== undefined) q.set('hue', String(hue))
+  if (Object.keys(params).length) q.set('params', JSON.stringify(params))
+
+  const s = normalizeSettings(settings)
+  for (const [key, name] of Object.entries(settingKeys)) {
+    if (s[key] !== DEFAULT_SETTINGS[key]) q.set(name, String(s[key]))
+  }
+  if (s.aspect === 'custom') {
+    q.set('width', String(s.width))
+    q.set('height', String(s.height))
+  }
+  if (s.loop) q.set('loop', '1')
+
+  setJson(q, 'composition', changed(composition, DEFAULT_COMPOSITION))
+  if (effects.length) q.set('effects', JSON.stringify(effects.map(({ id, ...fx }) => fx)))
+  setJson(q, 'mastering', changed(mastering, DEFAULT_MASTERING))
+  setJson(q, 'captions', changed({ ...captions, segments: captions.segments.map(({ id, ...segment }) => segment) }, DEFAULT_CAPTIONS))
+  setJson(q, 'palette', changed(palette, DEFAULT_PALETTE))
+  if (provider && provider !== 'local') q.set('provider', provider)
+  if (render) q.set('render', '1')
+  return q.toString()
+}
+
+// Read a query string written by encodeShareLink (any version). Returns null when it is not
+// a link, else { version, render, state }, where state holds only the values the link sets,
+// already normalised. Links from a newer build are read as far as this one understands them.
+export function decodeShareLink(search) {
+  const q = new URLSearchParams(search)
+  if (!q.has('v') || !q.has('prompt')) return null
+  const version = Math.floor(Number(q.get('v'))) || 1
+  for (let v = version; v < LINK_VERSION; v++) upgrades[v]?.(q)
+
+  const state = { prompt: q.get('prompt') }
+  if (q.has('seed')) state.seed = normalizeSeed(q.get('seed'))
+  if (q.get('style') in visualStyles) state.style = q.get('style')
+
+  const overrides = normalizeOverrides({ ...parseJson(q.get('params')), ...(q.has('hue') ? { hue: q.get('hue') } : {}) })
+  if (Object.keys(overrides).length) state.overrides = overrides
+
+  const settings = { ...DEFAULT_SETTINGS }
+  for (const [key, name] of Object.entries(settingKeys)) {
+    if (q.has(name)) settings[key] = key === 'aspect' ? q.get(name) : Number(q.get(name))
+  }
+  if (q.has('width')) settings.width = Number(q.get('width'))
+  if (q.has('height')) settings.height = Number(q.get('height'))
+  settings.loop = q.get('loop') === '1'
+  state.settings = normalizeSettings(settings)
+
+  const composition = parseJson(q.get('composition'))
+  if (composition) state.composition = normalizeComposition(composition)
+  const effects = parseJson(q.get('effects'))
+  if (Array.isArray(effects)) state.effects = normalizeRack(effects.map((fx, i) => ({ ...fx, id: `fx-link-${i}` })))
+  const mastering = parseJson(q.get('mastering'))
+  if (mastering) state.mastering = normalizeMastering(mastering)
+  const captions = parseJson(q.get('captions'))
+  if (captions) state.captions = normalizeCaptions(captions)
+  const palette = parseJson(q.get('palette'))
+  if (palette) state.palette = normalizePalette(palette)
+  if (q.has('provider')) state.provider = q.get('provider')
+
+  return { version, render: q.get('render') === '1', state }
+}
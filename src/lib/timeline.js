@@ -0,0 +1,161 @@
+import { audioBufferToWavBlob, decodeAudioBlob } from './audioEncode'
+
+// Multitrack timeline: generated and imported media arranged in time on audio and visual
+// tracks, rendered through the merge pipeline as one clip.
+//
+//   timeline = { tracks, animation }
+//   track = { id, kind: 'audio' | 'visual', name, gain, opacity, fit, muted, clips }
+//   clip = { id, name, kind: 'audio' | 'image' | 'video', blob, duration,
+//            start, in, out, loops, fadeIn, fadeOut }
+//
+// A clip plays its media from in to out (the trim), loops times in a row, starting at
+// start on the timeline; all times are in seconds. duration is the media's own length, or
+// null for images and media of unknown length. Clips that overlap on a track crossfade
+// over the overlap; fadeIn and fadeOut add fades of their own.
+//
+// Audio tracks are mixed with their gain into one soundtrack. Visual tracks become timed
+// media layers (see layers.js), first track at the bottom, drawn with the track's opacity
+// and fit. With animation the prompt's visual style, driven by the mixdown, is drawn over them.
+
+export const DEFAULT_TIMELINE = { tracks: [], animation: true }
+
+export const TRACK_GAIN = { min: 0, max: 2 }
+
+// Images have no length of their own; this is how long a new one shows
+const IMAGE_SECONDS = 4
+const MIN_CLIP = 0.1
+const MAX_LOOPS = 64
+const SAMPLE_RATE = 48000
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, Number(v) || 0))
+const uid = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+
+// The track kind that holds media of a kind
+export function trackKindFor(kind) {
+  return kind === 'audio' ? 'audio' : 'visual'
+}
+
+export function createTrack(kind, index = 0) {
+  return { id: uid('track'), kind, name: `${kind === 'audio' ? 'Audio' : 'Visual'} ${index + 1}`, gain: 1, opacity: 1, fit: 'cover', muted: false, clips: [] }
+}
+
+// media = { name, kind, blob, duration } (see mediaDuration in layers.js)
+export function createClip({ name, kind, blob, duration = null }, start = 0) {
+  return { id: uid('clip'), name, kind, blob, duration, start, in: 0, out: duration ?? IMAGE_SECONDS, loops: 1, fadeIn: 0, fadeOut: 0 }
+}
+
+// A copy of a clip with its edits, placed right after it by default
+export function duplicateClip(clip, start = clipEnd(clip)) {
+  return { ...clip, id: uid('clip'), start }
+}
+
+export function clipLength(clip) {
+  return (clip.out - clip.in) * clip.loops
+}
+
+export function clipEnd(clip) {
+  return clip.start + clipLength(clip)
+}
+
+// Clamp an edited clip: the trim stays inside the media and at least MIN_CLIP long, loops
+// is a whole number and the fades fit the clip
+export function normalizeClip(clip) {
+  const max = clip.duration ?? Infinity
+  const from = clamp(clip.in, 0, max - MIN_CLIP)
+  const to = clamp(clip.out, from + MIN_CLIP, max)
+  const loops = Math.round(clamp(clip.loops, 1, MAX_LOOPS))
+  const length = (to - from) * loops
+  return { ...clip, start: clamp(clip.start, 0, Infinity), in: from, out: to, loops, fadeIn: clamp(clip.fadeIn, 0, length), fadeOut: clamp(clip.fadeOut, 0, length) }
+}
+
+// End of the last clip on an audible or visible track
+export function timelineDuration({ tracks }) {
+  return Math.max(0, ...tracks.filter((t) => !t.muted).flatMap((t) => t.clips.map(clipEnd)))
+}
+
+// A track's clips in start order with their layer spans (see layers.js). Overlaps with
+// the neighbouring clips become fades, and fades are limited to half the clip so the
+// fade-in and fade-out never cross.
+export function trackSpans(track) {
+  const clips = [...track.clips].sort((a, b) => a.start - b.start)
+  return clips.map((clip, i) => {
+    const start = clip.start
+    const end = clipEnd(clip)
+    const overlapIn = Math.max(0, ...clips.slice(0, i).map(clipEnd)) - start
+    const overlapOut = i < clips.length - 1 ? end - clips[i + 1].start : 0
+    const half = (end - start) / 2
+    return {
+      clip,
+      span: {
+        start,
+        end,
+        in: clip.in,
+        out: clip.out,
+        fadeIn: Math.min(half, Math.max(clip.fadeIn, overlapIn)),
+        fadeOut: Math.min(half, Math.max(clip.fadeOut, overlapOut)),
+      },
+    }
+  })
+}
+
+// The visual tracks as timed media layers, bottom first
+export function timelineLayers({ tracks }) {
+  return tracks
+    .filter((track) => track.kind === 'visual' && !track.muted)
+    .flatMap((track) => trackSpans(track).map(({ clip, span }) => ({
+      id: clip.id, kind: clip.kind, name: clip.name, blob: clip.blob, fit: track.fit, opacity: track.opacity, span,
+    })))
+}
+
+// Equal-power fade matching spanGain in layers.js
+function fadeCurve(rising, points = 64) {
+  return Float32Array.from({ length: points }, (_, i) => Math.sin(((rising ? i : points - 1 - i) / (points - 1)) * Math.PI / 2))
+}
+
+function scheduleEnvelope(param, { start, end, fadeIn, fadeOut }) {
+  param.value = fadeIn > 0 ? 0 : 1
+  if (fadeIn > 0) param.setValueCurveAtTime(fadeCurve(true), start, fadeIn)
+  if (fadeOut > 0) param.setValueCurveAtTime(fadeCurve(false), end - fadeOut, fadeOut)
+}
+
+// Mix the audio tracks into a stereo AudioBuffer of duration seconds. Each loop of a clip
+// is its own buffer source; media shared by several clips is decoded once.
+async function mixTracks({ tracks }, duration, { signal, onProgress }) {
+  const offline = new OfflineAudioContext(2, Math.max(1, Math.ceil(duration * SAMPLE_RATE)), SAMPLE_RATE)
+  const decoded = new Map()
+  for (const track of tracks.filter((t) => t.kind === 'audio' && !t.muted)) {
+    const trackGain = offline.createGain()
+    trackGain.gain.value = track.gain
+    trackGain.connect(offline.destination)
+    for (const { clip, span } of trackSpans(track)) {
+      if (!decoded.has(clip.blob)) {
+        onProgress?.({ phase: `Decoding ${clip.name}`, progress: null })
+        decoded.set(clip.blob, await decodeAudioBlob(clip.blob, SAMPLE_RATE))
+        signal?.throwIfAborted()
+      }
+      const envelope = offline.createGain()
+      scheduleEnvelope(envelope.gain, span)
+      envelope.connect(trackGain)
+      const segment = span.out - span.in
+      for (let k = 0; k < clip.loops; k++) {
+        const source = offline.createBufferSource()
+        source.buffer = decoded.get(clip.blob)
+        source.connect(envelope)
+        source.start(span.start + k * segment, span.in, segment)
+      }
+    }
+  }
+  onProgress?.({ phase: 'Mixing tracks', progress: null })
+  return offline.startRendering()
+}
+
+// Render a timeline for mergeAudioVideo: resolves with { audioBlob, layers, duration },
+// the mixdown as a 32-bit float WAV (silent without audio tracks) and the visual tracks
+// as timed layers. progress = { signal, onProgress } (see progress.js).
+export async function renderTimeline(timeline, progress = {}) {
+  const duration = timelineDuration(timeline)
+  if (!duration) throw new Error('Add clips to the timeline first.')
+  const mix = await mixTracks(timeline, duration, progress)
+  progress.signal?.throwIfAborted()
+  return { audioBlob: await audioBufferToWavBlob(mix, { bitDepth: 32 }), layers: timelineLayers(timeline), duration }
+}
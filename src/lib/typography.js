@@ -0,0 +1,152 @@
+import { captionCues, captionFonts, DEFAULT_CAPTIONS } from './captions'
+
+// Typography layer: lays out the caption cues (see captions.js) and draws the one active
+// at each moment with its entrance animation. Text that does not fit in MAX_LINES lines
+// is split into pages that share the cue's time, so nothing is dropped.
+
+const MAX_LINES = 4
+const FADE = 0.35 // seconds
+const POP = 0.25
+const TYPE_SPAN = 0.6 // typewriter reveals over this share of a page (at most 1.5 s)
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v))
+const easeOut = (t) => 1 - Math.pow(1 - t, 3)
+const easeOutBack = (t) => 1 + 2.7 * Math.pow(t - 1, 3) + 1.7 * Math.pow(t - 1, 2)
+
+export function fontFor(captions, px) {
+  const font = captionFonts[captions.font] || captionFonts[DEFAULT_CAPTIONS.font]
+  return `${font.weight} ${Math.round(px)}px ${font.family}`
+}
+
+// Wait for the caption font where a FontFaceSet is available (page or worker), so the
+// first frames do not fall back to another font
+export async function loadCaptionFont(captions = DEFAULT_CAPTIONS) {
+  const fonts = globalThis.document?.fonts ?? globalThis.fonts
+  try {
+    await fonts?.load(fontFor(captions, 32))
+  } catch {
+    // drawing falls back to the next family in the list
+  }
+}
+
+// Greedy word wrap; explicit line breaks are kept
+export function wrapText(text, maxWidth, context) {
+  const lines = []
+  for (const paragraph of text.split('\n')) {
+    let current = ''
+    for (const w of paragraph.split(' ').filter(Boolean)) {
+      const test = current ? current + ' ' + w : w
+      if (context.measureText(test).width > maxWidth && current) {
+        lines.push(current)
+        current = w
+      } else {
+        current = test
+      }
+    }
+    if (current) lines.push(current)
+  }
+  return lines
+}
+
+// Pages of at most MAX_LINES lines, each line with its words' x offsets from the line
+// start, measured once per cue
+function layoutCue(ctx, cue, maxWidth) {
+  const lines = wrapText(cue.text, maxWidth, ctx).map((text) => {
+    let from = 0
+    const words = text.split(' ').map((word) => {
+      const x = ctx.measureText(text.slice(0, from)).width
+      from += word.length + 1
+      return { text: word, x, width: ctx.measureText(word).width }
+    })
+    return { text, width: ctx.measureText(text).width, words }
+  })
+  const pages = []
+  for (let i = 0; i < lines.length; i += MAX_LINES) pages.push(lines.slice(i, i + MAX_LINES))
+  return pages
+}
+
+// Baseline of the first line for a block of n lines
+function firstBaseline(position, n, lineHeight, { height, cy }) {
+  if (position === 'top') return height * 0.08 + lineHeight * 0.8
+  if (position === 'bottom') return height * 0.92 - (n - 1) * lineHeight
+  return cy - n * lineHeight * 0.56
+}
+
+// Per-word opacity, scale and visible characters for an animation at t seconds into a
+// page lasting `span` seconds
+function wordState(animation, t, span, index, charsBefore, wordLength, totalChars, totalWords) {
+  switch (animation) {
+    case 'fade':
+      return { alpha: clamp01(t / FADE) * clamp01((span - t) / FADE), scale: 1, chars: wordLength }
+    case 'slide':
+      return { alpha: clamp01(t / FADE), scale: 1, chars: wordLength }
+    case 'typewriter': {
+      const shown = Math.floor((totalChars * t) / Math.min(1.5, span * TYPE_SPAN))
+      return { alpha: 1, scale: 1, chars: Math.max(0, Math.min(wordLength, shown - charsBefore)) }
+    }
+    case 'pop': {
+      const stagger = Math.min(0.12, (span * 0.5) / totalWords)
+      const p = clamp01((t - index * stagger) / POP)
+      return { alpha: clamp01(p * 3), scale: 0.6 + 0.4 * easeOutBack(p), chars: wordLength }
+    }
+    default:
+      return { alpha: 1, scale: 1, chars: wordLength }
+  }
+}
+
+// Build the typography layer for one clip. Returns draw(ctx, frame) for the frame's
+// elapsed time; frame is the renderer's frame (width, height, cx, cy, unit, elapsed, text).
+// Captions without a colour of their own take the palette's text colour.
+export function createTypography({ captions = DEFAULT_CAPTIONS, prompt, duration }) {
+  const cues = captionCues(captions, prompt, duration)
+  const layouts = new Map()
+
+  return function drawTypography(ctx, { width, height, cx, cy, unit, elapsed, text: paletteText }) {
+    const cue = cues.find((c) => elapsed >= c.start && elapsed < c.end)
+    if (!cue) return
+    const fontSize = captions.size * unit
+    const lineHeight = fontSize * (32 / 28)
+    ctx.font = fontFor(captions, fontSize)
+    if (!layouts.has(cue)) layouts.set(cue, layoutCue(ctx, cue, width * 0.8))
+    const pages = layouts.get(cue)
+    if (!pages.length) return
+
+    const span = (cue.end - cue.start) / pages.length
+    const pageIndex = Math.min(pages.length - 1, Math.floor((elapsed - cue.start) / span))
+    const lines = pages[pageIndex]
+    const t = elapsed - cue.start - pageIndex * span
+
+    const totalWords = lines.reduce((n, line) => n + line.words.length, 0)
+    const totalChars = lines.reduce((n, line) => n + line.text.length, 0)
+    const rise = captions.animation === 'slide' ? (1 - easeOut(clamp01(t / FADE))) * 24 * unit : 0
+    const top = firstBaseline(captions.position, lines.length, lineHeight, { height, cy }) + rise
+
+    ctx.save()
+    ctx.fillStyle = captions.color ?? paletteText
+    let word = 0
+    let chars = 0
+    lines.forEach((line, idx) => {
+      const x0 = cx - line.width / 2
+      const y = top + idx * lineHeight
+      for (const w of line.words) {
+        const s = wordState(captions.animation, t, span, word++, chars, w.text.length, totalChars, totalWords)
+        chars += w.text.length + 1
+        if (s.alpha <= 0 || s.chars <= 0) continue
+        ctx.globalAlpha = 0.95 * s.alpha
+        const text = s.chars < w.text.length ? w.text.slice(0, s.chars) : w.text
+        if (s.scale === 1) {
+          ctx.fillText(text, x0 + w.x, y)
+        } else {
+          // Scale around the word's centre
+          const mid = x0 + w.x + w.width / 2
+          ctx.save()
+          ctx.translate(mid, y - fontSize * 0.35)
+          ctx.scale(s.scale, s.scale)
+          ctx.fillText(text, -w.width / 2, fontSize * 0.35)
+          ctx.restore()
+        }
+      }
+    })
+    ctx.restore()
+  }
+}
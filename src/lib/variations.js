@@ -0,0 +1,55 @@
+import { synthParamDefs } from './interpreter'
+import { createRng, rngFor } from './random'
+
+// Variations: several candidates of one prompt that differ by seed, by jittered sound
+// parameters, or both. A variant is { id, seed, overrides, parentId }, where overrides
+// replace the main result's overrides when it is promoted.
+
+export const variationModes = {
+  seeds: 'New seeds',
+  jitter: 'Parameter jitter',
+  both: 'Seeds + jitter',
+}
+
+export const variationCounts = [2, 4, 6, 9]
+
+export const DEFAULT_VARIATIONS = { count: 4, mode: 'seeds', amount: 0.15 }
+
+// Variants are compared, not kept, so they render at this long side at most
+const PREVIEW_SIDE = 480
+
+const even = (n) => Math.max(2, Math.round(n / 2) * 2)
+
+export function previewSize({ width, height }) {
+  const scale = Math.min(1, PREVIEW_SIDE / Math.max(width, height))
+  return { width: even(width * scale), height: even(height * scale) }
+}
+
+// Move every sound parameter by up to ±amount of its range (hue included, so the palette
+// shifts with the sound); select parameters switch option with probability amount
+function jitterParams(params, amount, rng) {
+  const jittered = {}
+  for (const [key, def] of Object.entries(synthParamDefs)) {
+    if (def.type === 'select') {
+      jittered[key] = rng() < amount ? def.options[Math.floor(rng() * def.options.length)] : params[key]
+      continue
+    }
+    const value = params[key] + (rng() * 2 - 1) * amount * (def.max - def.min)
+    const stepped = Math.round(value / def.step) * def.step
+    jittered[key] = Number(Math.min(def.max, Math.max(def.min, stepped)).toFixed(4))
+  }
+  return jittered
+}
+
+// Plan count variants around base { prompt, seed, params, overrides }. batch tells
+// successive plans for the same base apart; the same inputs always give the same plan.
+export function planVariations(base, { count, mode, amount }, batch = 0, parentId = null) {
+  const rng = rngFor(base.prompt, base.seed, `variations-${batch}`)
+  return Array.from({ length: count }, (_, i) => {
+    const seed = mode === 'jitter' ? base.seed : Math.floor(rng() * 4294967296) >>> 0
+    const overrides = mode === 'seeds'
+      ? base.overrides
+      : { ...base.overrides, ...jitterParams(base.params, amount, createRng(Math.floor(rng() * 4294967296))) }
+    return { id: `var-${batch}-${i}`, seed, overrides, parentId }
+  })
+}
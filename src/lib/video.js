@@ -0,0 +1,155 @@
+import { createRenderer } from './visuals'
+import { audioBufferToChannels, decodeAudioBlob } from './audioEncode'
+import { resolvePalette } from './palette'
+import { createCanvas } from './offlineRender'
+import { detectCapabilities, pickVideoPath } from './capabilities'
+import { buildClipSource, renderClipJob } from './renderJob'
+import { closeLayers, hasVideoLayers, loadLayers, seekLayers } from './layers'
+import { loadCaptionFont } from './typography'
+import { renderer } from './workers'
+
+// Main-thread frame source for a clip (see buildClipSource), decoding its audio blob and
+// media layers if any. Only the real-time path draws here; offline renders happen in the
+// render worker. Call close() on the source when done.
+export async function createClipSource({ audioBlob = null, ...clip }, { signal, onProgress } = {}) {
+  let audioBuffer = null
+  if (audioBlob) {
+    onProgress?.({ phase: 'Analyzing audio', progress: null })
+    audioBuffer = await decodeAudioBlob(audioBlob)
+    signal?.throwIfAborted()
+  }
+  await loadCaptionFont(clip.captions)
+  return buildClipSource(clip, audioBuffer, await loadLayers(clip.layers, signal))
+}
+
+// Render a clip to a file in the render worker. format is 'webm', 'mp4', 'gif' or 'png';
+// options are a quality preset's bitrates/GIF settings plus baseName. Audio is decoded
+// here (workers have no Web Audio) and handed over as 48 kHz channel data. Clips with
+// video layers render on this thread, since workers cannot decode them (see layers.js).
+export async function renderClipFile({ audioBlob = null, ...clip }, format, options = {}, progress = {}) {
+  if (audioBlob) progress.onProgress?.({ phase: 'Decoding audio', progress: null })
+  const audio = audioBlob ? audioBufferToChannels(await decodeAudioBlob(audioBlob, 48000)) : null
+  const job = { clip, audio, format, options }
+  if (hasVideoLayers(clip.layers)) return renderClipJob(job, progress)
+  const transfer = audio ? audio.channels.map((c) => c.buffer) : []
+  return renderer('render', job, { ...progress, transfer })
+}
+
+// Real-time fallback for browsers without WebCodecs: play the clip on a canvas and
+// record it with MediaRecorder, mixing audio in via MediaStreamDestination
+function recordRealtime({ width, height, fps, duration, drawFrame, play, audioBuffer }, mimeType, { signal, onProgress } = {}) {
+  signal?.throwIfAborted()
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+
+  const stream = new MediaStream()
+  canvas.captureStream(fps).getVideoTracks().forEach((t) => stream.addTrack(t))
+
+  let audioCtx = null
+  let src = null
+  if (audioBuffer) {
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)()
+    const dest = audioCtx.createMediaStreamDestination()
+    src = audioCtx.createBufferSource()
+    src.buffer = audioBuffer
+    src.connect(dest)
+    src.connect(audioCtx.destination)
+    dest.stream.getAudioTracks().forEach((t) => stream.addTrack(t))
+  }
+
+  const recorder = new MediaRecorder(stream, { mimeType })
+  const chunks = []
+  recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data)
+
+  const start = performance.now()
+  const totalFrames = Math.round(duration * fps)
+  let frames = 0
+
+  function draw(t) {
+    if (signal?.aborted) return
+    const elapsed = (t - start) / 1000
+    drawFrame(ctx, elapsed)
+    frames++
+    onProgress?.({ phase: 'Recording video', progress: Math.min(1, elapsed / duration), frames, totalFrames })
+    if (elapsed < duration) {
+      requestAnimationFrame(draw)
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    let stopTimer = null
+    const abort = () => {
+      clearTimeout(stopTimer)
+      recorder.onstop = () => audioCtx?.close()
+      recorder.stop()
+      reject(signal.reason)
+    }
+    recorder.onstop = () => {
+      signal?.removeEventListener('abort', abort)
+      audioCtx?.close()
+      resolve(new Blob(chunks, { type: mimeType.split(';')[0] }))
+    }
+    signal?.addEventListener('abort', abort, { once: true })
+    recorder.start()
+    play()
+    requestAnimationFrame(draw)
+    // Start audio slightly after recorder starts
+    if (src) {
+      setTimeout(() => {
+        if (!signal?.aborted) src.start()
+      }, 50)
+    }
+    stopTimer = setTimeout(() => {
+      recorder.stop()
+    }, Math.ceil(duration * 1000) + 100)
+  })
+}
+
+// Frame-accurate offline render via WebCodecs where available, otherwise real-time capture,
+// in the best format the browser supports (see capabilities.js).
+// progress = { signal, onProgress } (see progress.js)
+async function renderClip(clip, progress = {}) {
+  const path = pickVideoPath(await detectCapabilities(), !!clip.audioBlob)
+  if (!path) throw new Error('This browser cannot encode or record video.')
+  if (path.method === 'offline') return renderClipFile(clip, path.container, {}, progress)
+  const source = await createClipSource(clip, progress)
+  try {
+    return await recordRealtime(source, path.mimeType, progress)
+  } finally {
+    source.close()
+  }
+}
+
+// Generate procedural video from the prompt alone; layers are media layers (see layers.js),
+// captions the typography settings (see captions.js) and palette the colour settings (see
+// palette.js); loop makes the animation repeat seamlessly over the clip
+export async function generateProceduralVideo(prompt, seconds = 6, fps = 30, width = 720, height = 1280, { style = 'auto', seed = 0, hue, palette, layers = [], captions, loop = false, signal, onProgress } = {}) {
+  return renderClip({ prompt, style, seed, hue, palette, seconds, fps, width, height, layers, captions, loop }, { signal, onProgress })
+}
+
+// Merge: re-render video with same prompt but duration of audio, driven by the audio's
+// analysed features, with the audio muxed in. animation: false draws only the layers and
+// captions over the background (timeline renders, see timeline.js).
+export async function renderMergedAV(prompt, audioBlob, fps = 30, { style = 'auto', seed = 0, hue, palette, width = 720, height = 1280, layers = [], captions, loop = false, animation = true, signal, onProgress } = {}) {
+  return renderClip({ prompt, style, seed, hue, palette, fps, width, height, layers, captions, loop, animation, audioBlob }, { signal, onProgress })
+}
+
+// Small PNG still of the clip for the library gallery
+export async function renderThumbnail({ prompt, style = 'auto', seed = 0, hue, palette, width = 720, height = 1280, layers = [], captions, seconds = 6, loop = false }, maxSide = 240, at = 1) {
+  const full = createCanvas(width, height)
+  const loaded = await loadLayers(layers)
+  try {
+    await Promise.all([loadCaptionFont(captions), seekLayers(loaded, at)])
+    createRenderer({ prompt, style, seed, palette: resolvePalette(palette, prompt, hue), width, height, layers: loaded, captions, duration: seconds, loop })(full.getContext('2d'), at)
+  } finally {
+    closeLayers(loaded)
+  }
+  const scale = maxSide / Math.max(width, height)
+  const thumb = createCanvas(Math.round(width * scale), Math.round(height * scale))
+  thumb.getContext('2d').drawImage(full, 0, 0, thumb.width, thumb.height)
+  return thumb.convertToBlob
+    ? thumb.convertToBlob({ type: 'image/png' })
+    : new Promise((resolve) => thumb.toBlob(resolve, 'image/png'))
+}
@@ -0,0 +1,240 @@
+import { rngFor } from './random'
+import { SILENT_FEATURES } from './audioAnalysis'
+import { drawLayers } from './layers'
+import { createTypography } from './typography'
+
+// Shared canvas renderer used by both the standalone video and the merged A/V paths.
+// A style is { label, keywords, setup?(ctx), draw(ctx, frame, state) }. frame.color and
+// frame.accent are the palette's primary and accent colours (see palette.js), hue-shifted
+// by the audio; use the accent for a second voice in the drawing.
+// frame.audio carries the analysis features (see audioAnalysis.js); they are all
+// zero for the silent video path, so styles must look right without sound too.
+// frame.unit is one "design pixel" (the short side / 720): scale fixed sizes by it so
+// every aspect ratio and resolution looks alike. Pass every time-based rate through
+// frame.cycles (cycles per second) or frame.angular (radians per second), so that in loop
+// mode the motion completes whole cycles over the clip and the last frame runs into the first.
+
+const TAU = Math.PI * 2
+
+// Rotate the hue of an `hsl(h s% l%)` color; other formats are returned as-is
+export function shiftHue(color, degrees) {
+  const m = /^hsl\(\s*([\d.]+)(.*)$/.exec(color)
+  if (!m || !degrees) return color
+  return `hsl(${(Number(m[1]) + degrees + 360) % 360}${m[2]}`
+}
+
+const wrap = (v) => ((v % 1) + 1) % 1
+
+function drawEnergyRing(ctx, { width, height, cx, cy, elapsed, color, accent, audio, unit, angular }) {
+  const maxR = Math.min(width, height) * 0.35 * (1 + 0.3 * audio.low + 0.15 * audio.onset)
+  ctx.save()
+  ctx.translate(cx, cy)
+  ctx.rotate(elapsed * angular(0.6) + audio.drive * 2)
+  ctx.strokeStyle = color
+  ctx.globalAlpha = 0.65 + 0.3 * audio.rms
+  ctx.lineWidth = (2 + 2 * audio.onset) * unit
+  for (let i = 0; i < 60; i++) {
+    const angle = (i / 60) * TAU
+    const r = maxR * (0.7 + 0.25 * Math.sin(elapsed * angular(2) + i) * (1 + audio.mid))
+    ctx.beginPath()
+    ctx.arc(0, 0, r, angle, angle + 0.04)
+    ctx.stroke()
+  }
+  ctx.restore()
+
+  // Prompt ribbon
+  const amp = 1 + 1.5 * audio.mid + audio.onset
+  ctx.globalAlpha = 0.9
+  ctx.strokeStyle = accent
+  ctx.lineWidth = 3 * unit
+  ctx.beginPath()
+  for (let i = 0; i < 200; i++) {
+    const x = (i / 199) * width
+    const y = cy + Math.sin((i / 15) + elapsed * angular(2)) * 80 * amp * unit + Math.cos((i / 7) + elapsed * angular(1.3)) * 40 * amp * unit
+    if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y)
+  }
+  ctx.stroke()
+}
+
+function setupParticles({ rng }) {
+  return Array.from({ length: 140 }, () => ({
+    x: rng(),
+    y: rng(),
+    vx: (rng() - 0.5) * 0.08,
+    vy: -0.02 - rng() * 0.06,
+    size: 1 + rng() * 3,
+    phase: rng() * TAU,
+  }))
+}
+
+function drawParticles(ctx, { width, height, elapsed, color, accent, audio, unit, cycles, angular }, particles) {
+  const t = elapsed + audio.drive * 3
+  for (const [i, p] of particles.entries()) {
+    ctx.fillStyle = i % 3 ? color : accent
+    const x = wrap(p.x + cycles(p.vx) * t) * width
+    const y = wrap(p.y + cycles(p.vy) * t) * height
+    ctx.globalAlpha = Math.min(1, 0.35 + 0.45 * (0.5 + 0.5 * Math.sin(elapsed * angular(3) + p.phase)) + 0.3 * audio.high)
+    ctx.beginPath()
+    ctx.arc(x, y, p.size * unit * (1 + audio.low + audio.onset), 0, TAU)
+    ctx.fill()
+  }
+}
+
+function drawTunnel(ctx, { width, height, cx, cy, elapsed, color, accent, audio, unit, cycles, angular }) {
+  const maxR = Math.hypot(width, height) / 2 * (1 + 0.1 * audio.onset)
+  const rings = 18
+  ctx.save()
+  ctx.translate(cx, cy)
+  ctx.strokeStyle = color
+  for (let i = 0; i < rings; i++) {
+    const z = wrap((i / rings) + elapsed * cycles(0.25) + audio.drive)
+    const r = maxR * z * z
+    ctx.globalAlpha = 0.15 + 0.7 * z
+    ctx.strokeStyle = i % 2 ? accent : color
+    ctx.lineWidth = (1 + 3 * z) * (1 + audio.low) * unit
+    ctx.save()
+    ctx.rotate(elapsed * angular(0.3) + z * 2)
+    ctx.beginPath()
+    for (let s = 0; s <= 6; s++) {
+      const a = (s / 6) * TAU
+      if (s === 0) ctx.moveTo(Math.cos(a) * r, Math.sin(a) * r); else ctx.lineTo(Math.cos(a) * r, Math.sin(a) * r)
+    }
+    ctx.stroke()
+    ctx.restore()
+  }
+  ctx.globalAlpha = 0.25
+  ctx.strokeStyle = color
+  ctx.lineWidth = unit
+  for (let s = 0; s < 12; s++) {
+    const a = (s / 12) * TAU + elapsed * angular(0.3)
+    ctx.beginPath()
+    ctx.moveTo(0, 0)
+    ctx.lineTo(Math.cos(a) * maxR, Math.sin(a) * maxR)
+    ctx.stroke()
+  }
+  ctx.restore()
+}
+
+function setupStarfield({ rng }) {
+  return Array.from({ length: 260 }, () => ({
+    x: rng() * 2 - 1,
+    y: rng() * 2 - 1,
+    z: rng(),
+  }))
+}
+
+function drawStarfield(ctx, { width, height, cx, cy, elapsed, color, accent, audio, unit, cycles }, stars) {
+  const scale = Math.max(width, height) * 0.5
+  for (const [i, s] of stars.entries()) {
+    const z = wrap(s.z - elapsed * cycles(0.15) - audio.drive * 0.8) || 1
+    const x = cx + (s.x / z) * scale * 0.25
+    const y = cy + (s.y / z) * scale * 0.25
+    if (x < 0 || x > width || y < 0 || y > height) continue
+    ctx.globalAlpha = Math.min(1, (1 - z) * 1.2)
+    ctx.fillStyle = i % 5 ? color : accent
+    ctx.beginPath()
+    ctx.arc(x, y, ((1 - z) * 3 + 0.3) * unit * (1 + audio.onset), 0, TAU)
+    ctx.fill()
+  }
+}
+
+function drawWaveformBars(ctx, { width, height, cy, elapsed, color, accent, audio, unit, angular }) {
+  const bars = 48
+  const gap = 4 * unit
+  const barW = (width * 0.9 - gap * (bars - 1)) / bars
+  const left = width * 0.05
+  const maxH = Math.min(width, height) * 0.3
+  const fill = ctx.createLinearGradient(0, cy - maxH, 0, cy + maxH)
+  fill.addColorStop(0, accent)
+  fill.addColorStop(0.5, color)
+  fill.addColorStop(1, accent)
+  ctx.fillStyle = fill
+  for (let i = 0; i < bars; i++) {
+    const idle = Math.abs(Math.sin(elapsed * angular(2.2) + i * 0.45) * Math.cos(elapsed * angular(0.9) + i * 0.13))
+    const band = audio.spectrum[Math.floor((i / bars) * audio.spectrum.length)]
+    const v = 0.15 + 0.85 * (audio.rms > 0 ? band : idle)
+    const h = maxH * v
+    ctx.globalAlpha = 0.5 + 0.4 * v
+    ctx.fillRect(left + i * (barW + gap), cy - h, barW, h * 2)
+  }
+}
+
+export const visualStyles = {
+  ring: { label: 'Energy Ring', keywords: ['energy', 'thunder', 'power', 'awaken', 'storm', 'lord'], draw: drawEnergyRing },
+  particles: { label: 'Particle Field', keywords: ['dust', 'spark', 'ember', 'fire', 'ash', 'snow', 'rain', 'swarm', 'particle'], setup: setupParticles, draw: drawParticles },
+  tunnel: { label: 'Tunnel', keywords: ['tunnel', 'portal', 'vortex', 'abyss', 'descent', 'wormhole', 'void', 'spiral'], draw: drawTunnel },
+  starfield: { label: 'Starfield', keywords: ['star', 'space', 'cosmic', 'galaxy', 'nebula', 'night', 'warp', 'orbit'], setup: setupStarfield, draw: drawStarfield },
+  bars: { label: 'Waveform Bars', keywords: ['beat', 'bass', 'music', 'rhythm', 'pulse', 'drum', 'club', 'techno', 'wave'], draw: drawWaveformBars },
+}
+
+export const DEFAULT_STYLE = 'ring'
+
+// Pick a style from prompt keywords; the style with the most hits wins, ties keep registry order
+export function pickStyleFromPrompt(prompt) {
+  const text = prompt.toLowerCase()
+  let best = DEFAULT_STYLE
+  let bestHits = 0
+  for (const [id, style] of Object.entries(visualStyles)) {
+    const hits = style.keywords.filter((k) => text.includes(k)).length
+    if (hits > bestHits) {
+      best = id
+      bestHits = hits
+    }
+  }
+  return best
+}
+
+export function resolveStyle(style, prompt) {
+  if (style && style !== 'auto' && visualStyles[style]) return style
+  return pickStyleFromPrompt(prompt)
+}
+
+// Rate adjusters for frame.cycles / frame.angular. Looping, a rate becomes the nearest whole
+// number of cycles per clip (at least one, keeping its direction); otherwise it is unchanged.
+function loopRates(loop, duration) {
+  if (!loop) return { cycles: (v) => v, angular: (r) => r }
+  const cycles = (v) => (v && (Math.sign(v) * Math.max(1, Math.round(Math.abs(v) * duration))) / duration)
+  return { cycles, angular: (r) => cycles(r / TAU) * TAU }
+}
+
+function drawBackground(ctx, { width, height, background }) {
+  const grd = ctx.createLinearGradient(0, 0, width, height)
+  grd.addColorStop(0, background[0])
+  grd.addColorStop(1, background[1])
+  ctx.globalAlpha = 1
+  ctx.fillStyle = grd
+  ctx.fillRect(0, 0, width, height)
+}
+
+// Build a frame renderer for one clip. Returns drawFrame(ctx, elapsedSeconds, audioFeatures?).
+// palette is the colour scheme (see palette.js). layers are decoded user media (see layers.js), drawn between the background and the style;
+// captions and the clip's duration drive the typography layer on top (see typography.js).
+// With loop the animation repeats seamlessly every duration seconds. Without animation
+// only the background, layers and captions are drawn (e.g. a timeline of the user's media).
+export function createRenderer({ prompt, style = 'auto', seed = 0, palette, width, height, layers = [], captions, duration = 6, loop = false, animation = true }) {
+  const id = resolveStyle(style, prompt)
+  const drawText = createTypography({ captions, prompt, duration })
+  const rates = loopRates(loop, duration)
+  const def = visualStyles[id]
+  const state = def.setup ? def.setup({ width, height, rng: rngFor(prompt, seed, `visual:${id}`) }) : null
+
+  return function drawFrame(ctx, elapsed, audio = SILENT_FEATURES) {
+    // High frequencies and onsets push the hue around; loudness drives the glow
+    const shift = audio.high * 25 + audio.onset * 15
+    const shifted = shiftHue(palette.primary, shift)
+    const frame = {
+      prompt, width, height, cx: width / 2, cy: height / 2, unit: Math.min(width, height) / 720, elapsed, audio, ...rates,
+      color: shifted, accent: shiftHue(palette.accent, shift), background: palette.background, text: palette.text,
+    }
+    drawBackground(ctx, frame)
+    drawLayers(ctx, frame, layers)
+    if (animation) {
+      ctx.save()
+      ctx.shadowColor = shifted
+      ctx.shadowBlur = (24 * audio.rms + 30 * audio.onset) * frame.unit
+      def.draw(ctx, frame, state)
+      ctx.restore()
+    }
+    drawText(ctx, frame)
+  }
+}
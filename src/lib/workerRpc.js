@@ -0,0 +1,94 @@
+// Promise-based calls into Web Workers. A worker module calls serveWorker(handlers); the
+// page wraps it with createWorkerClient and calls client(type, payload, progress).
+// Handlers are plain async functions (payload, { signal, onProgress }) => result, so the
+// client can run them in-thread when workers (or what they need) are unavailable.
+
+// Typed arrays in a result (also inside arrays and plain objects) are transferred instead of copied
+function transferablesOf(value) {
+  if (ArrayBuffer.isView(value)) return [value.buffer]
+  if (value instanceof ArrayBuffer) return [value]
+  if (Array.isArray(value)) return value.flatMap(transferablesOf)
+  if (value?.constructor === Object) return Object.values(value).flatMap(transferablesOf)
+  return []
+}
+
+// Errors cross the boundary as { name, message }; keep AbortErrors recognisable
+function reviveError({ name, message }) {
+  if (name === 'AbortError') return new DOMException(message, 'AbortError')
+  const error = new Error(message)
+  error.name = name
+  return error
+}
+
+// Worker side: answer { id, type, payload } messages with { id, result } or { id, error },
+// stream { id, progress } events and honour { id, type: 'abort' }
+export function serveWorker(handlers) {
+  const controllers = new Map()
+  self.onmessage = async ({ data: { id, type, payload } }) => {
+    if (type === 'abort') return controllers.get(id)?.abort()
+    const controller = new AbortController()
+    controllers.set(id, controller)
+    try {
+      const onProgress = (progress) => self.postMessage({ id, progress })
+      const result = await handlers[type](payload, { signal: controller.signal, onProgress })
+      self.postMessage({ id, result }, transferablesOf(result))
+    } catch (e) {
+      self.postMessage({ id, error: { name: e.name, message: e.message } })
+    } finally {
+      controllers.delete(id)
+    }
+  }
+}
+
+// Page side. createWorker() is called lazily on first use; available() decides per call
+// whether to use the worker or run handlers[type] on this thread instead.
+export function createWorkerClient(createWorker, handlers, available = () => typeof Worker !== 'undefined') {
+  let worker = null
+  let nextId = 0
+  const pending = new Map()
+
+  function getWorker() {
+    if (worker) return worker
+    worker = createWorker()
+    worker.onmessage = ({ data: { id, result, error, progress } }) => {
+      const call = pending.get(id)
+      if (!call) return
+      if (progress) return call.onProgress?.(progress)
+      pending.delete(id)
+      call.done()
+      if (error) call.reject(reviveError(error))
+      else call.resolve(result)
+    }
+    // A crashed worker fails everything in flight and is recreated on the next call
+    worker.onerror = (e) => {
+      e.preventDefault()
+      pending.forEach((call) => {
+        call.done()
+        call.reject(new Error(`Worker failed: ${e.message || 'unknown error'}`))
+      })
+      pending.clear()
+      worker.terminate()
+      worker = null
+    }
+    return worker
+  }
+
+  return function call(type, payload, { signal, onProgress, transfer = [] } = {}) {
+    if (!available()) return handlers[type](payload, { signal, onProgress })
+    return new Promise((resolve, reject) => {
+      signal?.throwIfAborted()
+      const id = ++nextId
+      const target = getWorker()
+      // Reject at once rather than when the worker gets to the abort message, which a
+      // handler busy in a long loop only reads at its next yield
+      const abort = () => {
+        target.postMessage({ id, type: 'abort' })
+        pending.delete(id)
+        reject(signal.reason)
+      }
+      signal?.addEventListener('abort', abort, { once: true })
+      pending.set(id, { resolve, reject, onProgress, done: () => signal?.removeEventListener('abort', abort) })
+      target.postMessage({ id, type, payload }, transfer)
+    })
+  }
+}
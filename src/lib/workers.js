@@ -0,0 +1,21 @@
+import { createWorkerClient } from './workerRpc'
+import { audioOverview, encodeWav, impulseResponse, loopCrossfade, noise } from './dsp'
+import { master, measureLoudness } from './mastering'
+import { encodeFlac } from './flac'
+import { renderClipJob } from './renderJob'
+
+// Shared worker clients. Each worker is started on first use and reused afterwards.
+
+// Sample loops for audio generation, loop crossfades, mastering, WAV and FLAC encoding and the waveform viewer
+export const dsp = createWorkerClient(
+  () => new Worker(new URL('../workers/dsp.worker.js', import.meta.url), { type: 'module' }),
+  { noise, impulseResponse, loopCrossfade, encodeWav, encodeFlac, audioOverview, master, measureLoudness },
+)
+
+// Frame drawing and video/GIF/PNG encoding. Needs OffscreenCanvas inside the worker;
+// without it frames are drawn on a page canvas on this thread.
+export const renderer = createWorkerClient(
+  () => new Worker(new URL('../workers/render.worker.js', import.meta.url), { type: 'module' }),
+  { render: renderClipJob },
+  () => typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined',
+)
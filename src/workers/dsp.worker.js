@@ -0,0 +1,6 @@
+import { serveWorker } from '../lib/workerRpc'
+import { audioOverview, encodeWav, impulseResponse, loopCrossfade, noise } from '../lib/dsp'
+import { master, measureLoudness } from '../lib/mastering'
+import { encodeFlac } from '../lib/flac'
+
+serveWorker({ noise, impulseResponse, loopCrossfade, encodeWav, encodeFlac, audioOverview, master, measureLoudness })
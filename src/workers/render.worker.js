@@ -0,0 +1,39 @@
+import { serveWorker } from '../lib/workerRpc'
+import { renderClipJob } from '../lib/renderJob'
+import { captionFonts } from '../lib/captions'
+
+// Web fonts loaded by the page are invisible to workers, so fetch the caption web fonts
+// (see captionFonts in captions.js) here. Without them frames fall back to system fonts.
+function fontCss() {
+  const weights = {}
+  for (const { webFont, weight } of Object.values(captionFonts)) {
+    if (webFont) weights[webFont] = [...new Set([...(weights[webFont] || []), weight])].sort((a, b) => a - b)
+  }
+  const families = Object.entries(weights).map(([family, list]) => `family=${family.replace(/ /g, '+')}:wght@${list.join(';')}`)
+  return `https://fonts.googleapis.com/css2?${families.join('&')}&display=swap`
+}
+
+async function loadFonts() {
+  try {
+    const css = await (await fetch(fontCss())).text()
+    const faces = [...css.matchAll(/@font-face\s*{([^}]*)}/g)].map(([, block]) => {
+      const family = block.match(/font-family:\s*['"]?([^;'"]+)['"]?;/)?.[1]
+      const weight = block.match(/font-weight:\s*([^;]+);/)?.[1]
+      const src = block.match(/src:\s*([^;]+);/)?.[1]
+      const unicodeRange = block.match(/unicode-range:\s*([^;]+);/)?.[1]
+      return family && src && new FontFace(family, src, { weight: weight || '400', ...(unicodeRange ? { unicodeRange } : {}) })
+    }).filter(Boolean)
+    await Promise.all(faces.map(async (face) => self.fonts.add(await face.load())))
+  } catch (e) {
+    console.warn('Render worker could not load fonts', e)
+  }
+}
+
+const fontsReady = loadFonts()
+
+serveWorker({
+  async render(job, progress) {
+    await fontsReady
+    return renderClipJob(job, progress)
+  },
+})
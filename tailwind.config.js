@@ -6,6 +6,15 @@ export default {
   ],
   theme: {
     extend: {
+      // Follows the active palette (see themeVariables in src/lib/palette.js)
+      colors: {
+        theme: {
+          DEFAULT: 'rgb(var(--theme-primary) / <alpha-value>)',
+          accent: 'rgb(var(--theme-accent) / <alpha-value>)',
+          background: 'rgb(var(--theme-background) / <alpha-value>)',
+          text: 'rgb(var(--theme-text) / <alpha-value>)',
+        },
+      },
       fontFamily: {
         sans: ['Inter', 'system-ui', '-apple-system', 'BlinkMacSystemFont', 'Segoe UI', 'Roboto', 'sans-serif'],
         geist: ['Geist', 'system-ui', 'sans-serif'],